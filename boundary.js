@@ -0,0 +1,75 @@
+/**
+ * An error boundary for the components nested in it, at any depth and across shadow roots. When one of them
+ * fails, the boundary hides its content and shows the error with a retry button, which initializes the failed
+ * components again. The error UI can be replaced by slotting content into the `error` slot.
+ *
+ *   <maehem-boundary>
+ *     <user-profile></user-profile>
+ *     <p slot="error">The profile could not be loaded</p>
+ *   </maehem-boundary>
+ */
+import Component from './index.js'
+
+export class Boundary extends Component {
+  static name = 'maehem-boundary'
+
+  static events = { 'click #retry': 'onRetry' }
+
+  constructor(defaults = {}, onConnected = null) {
+    super(defaults, onConnected)
+    /** @type {Set<Component>} */
+    this._failed = new Set()
+    this._lastError = null
+    // Listening from construction catches children that fail before the boundary has rendered
+    this.addEventListener('maehem-error', (e) => this._onChildError(e))
+  }
+
+  async onConnected() {
+    this._renderError()
+  }
+
+  /**
+   * Catch the error of a nested component so it doesn't reach outer boundaries, and show the error UI
+   * @param {CustomEvent} e - The `maehem-error` event
+   */
+  _onChildError(e) {
+    if (e.detail.component === this) return
+    e.preventDefault()
+    e.stopPropagation()
+    this._failed.add(e.detail.component)
+    this._lastError = e.detail.error
+    this._renderError()
+  }
+
+  /**
+   * Show the error UI if any nested component has failed, once the boundary has rendered
+   */
+  _renderError() {
+    if (!this._view || !this._failed.size) return
+    this.$ID('message').textContent = this._lastError.message
+    this.$ID('content').hidden = true
+    this.$ID('error').hidden = false
+  }
+
+  /**
+   * Hide the error UI and initialize the failed components again
+   */
+  async onRetry() {
+    const failed = Array.from(this._failed)
+    this._failed.clear()
+    this.$ID('error').hidden = true
+    this.$ID('content').hidden = false
+    await Promise.all(failed.map((component) => component.retry()))
+  }
+}
+
+Component.inline(Boundary.name, {
+  view: `<div id="content"><slot></slot></div>
+<div id="error" part="error" role="alert" hidden>
+  <slot name="error"><p id="message"></p></slot>
+  <button id="retry" part="retry">Retry</button>
+</div>`,
+  style: ':host { display: contents; } [hidden] { display: none; }',
+})
+
+Boundary.define()
@@ -2,106 +2,175 @@
 import dotenv from 'dotenv'
 import path from 'path'
 import fs from 'fs'
+import http from 'http'
+import https from 'https'
+import { pathToFileURL, fileURLToPath } from 'url'
 import { startDevServer } from '@web/dev-server'
+import { rollup } from 'rollup'
+import { nodeResolve } from '@rollup/plugin-node-resolve'
+import { render, installShim } from './ssr.js'
 
-const args = process.argv.slice(2)
+const galleryPage = '/__maehem/gallery'
+const galleryStories = '/__maehem/stories'
+const processEnvScript = '/__maehem/process-env.js'
+const hmrScript = '/__maehem/hmr.js'
+const envPrefix = 'MAEHEM_PUBLIC_'
+const hopHeaders = ['connection', 'keep-alive', 'transfer-encoding', 'upgrade']
+const configKeys = ['port', 'host', 'basePath', 'componentPath']
 
-if (args.includes('-h')) {
-  const output = `
-  Component Admin Subcommands
-  ===========================
-
-  new - Create a new component structure at the given path with the given name
-
-    Usage:
-      node . new PATH NAME
-
-    Args:
-      PATH: Path on which to create new component
-      NAME: Name of the component to create
+/**
+ * The exit codes of the maehem binary
+ * @readonly
+ * @enum {number}
+ */
+export const exitCodes = {
+  ok: 0,
+  error: 1,
+  usage: 2,
+  exists: 3,
+  invalid: 4,
+  notFound: 5,
+  failed: 6,
+}
 
-    Example:
-      node . new './components' my-component
+/**
+ * Thrown by the commands, with the code the maehem binary exits with
+ */
+export class CommandError extends Error {
+  /**
+   * @param {string} message - The message printed by the maehem binary
+   * @param {exitCodes} code - The exit code
+   * @param {any} cause - The error that made the command fail
+   */
+  constructor(message, code = exitCodes.error, cause = null) {
+    super(message)
+    this.name = 'CommandError'
+    this.code = code
+    this.cause = cause
+  }
+}
 
-  ------------------------------------------------------------------------------------------------
-  preview - Run in development preview mode with hot module reloading
+const reservedNames = new Set([
+  'annotation-xml',
+  'color-profile',
+  'font-face',
+  'font-face-src',
+  'font-face-uri',
+  'font-face-format',
+  'font-face-name',
+  'missing-glyph',
+])
 
-    Usage:
-      node . preview PATH NAME ...ATTRS
+const fieldTypes = {
+  string: { type: 'String', ts: 'string', default: "''", story: "''" },
+  number: { type: 'Number', ts: 'number', default: '0', story: '0' },
+  boolean: { type: 'Boolean', ts: 'boolean', default: 'false', story: 'false' },
+  object: { type: 'Object', ts: 'Record<string, any>', default: '() => ({})', story: '{}' },
+  array: { type: 'Array', ts: 'any[]', default: '() => []', story: '[]' },
+  date: { type: 'Date', ts: 'Date', default: 'null', story: 'null' },
+}
 
-    Args:
-      PATH: Path on which to create new component
-      NAME: Name of the component to create
-      ATTRS: The list of attributes to pass to the component
+async function loadConfig(options = {}) {
+  const file = path.resolve(options.config || 'maehem.config.mjs')
+  let config = {}
+  if (fs.existsSync(file)) {
+    config = Object.assign({}, (await import(pathToFileURL(file).href)).default)
+  } else if (options.config) {
+    throw new CommandError(`Could not find config ${options.config}`, exitCodes.notFound)
+  }
 
-    Example:
-      node . preview './components' my-component id:myComponent foo:bar refresh:false
+  // Options override the config file
+  for (const key of configKeys) {
+    if (options[key] !== undefined) config[key] = options[key]
+  }
+  return config
+}
 
-  ------------------------------------------------------------------------------------------------
-  `
-  console.log(output)
-  process.exit(2)
+function componentPathOf(given, config, arg = 'PATH') {
+  const componentPath = given || config.componentPath
+  if (!componentPath) {
+    throw new CommandError(`No ${arg} given, and no componentPath set in maehem.config.mjs`, exitCodes.usage)
+  }
+  return componentPath
 }
 
-if (args.length === 0) {
-  console.error('No subcommand specified')
-  process.exit(1)
+async function envs(mode, config) {
+  const allow = (config.env && config.env.allow) || []
+  const parsed = {}
+  for (const file of ['.env', `.env.${mode}`]) {
+    if (fs.existsSync(file)) Object.assign(parsed, dotenv.parse(fs.readFileSync(file)))
+  }
+
+  const output = { MODE: mode, DEV: mode !== 'production', PROD: mode === 'production' }
+  const withheld = []
+  for (const [k, v] of Object.entries(parsed)) {
+    if (k.startsWith(envPrefix) || allow.includes(k)) output[k] = v
+    else withheld.push(k)
+  }
+  if (withheld.length) {
+    console.warn(
+      `Not exposing ${withheld.join(
+        ', '
+      )} to the browser, prefix them with ${envPrefix} or add them to env.allow in maehem.config.mjs`
+    )
+  }
+  return output
 }
 
-switch (args[0]) {
-  case 'new':
-    makeComponent(...args.slice(1))
-    break
-  case 'preview':
-    previewComponent(...args.slice(1))
-    break
-  case 'serve':
-    serve(...args.slice(1))
-    break
-  default:
-    console.log(`Unknown command option: ${args[0]}`)
-    process.exit(9)
+function envModule(env) {
+  return `export default ${JSON.stringify(env)}\n`
 }
 
-function envs() {
-  const env = dotenv.config()
-  if (!env.parsed) {
-    console.warn('No .env file found in this directory')
-    return {}
+function envMiddleware(env, scripts = []) {
+  const moduleUrl = toUrl(path.join(scriptDir(), 'env.js'))
+  return (ctx, next) => {
+    if (ctx.method !== 'GET') return next()
+    if (ctx.path === moduleUrl) {
+      ctx.type = 'js'
+      ctx.body = envModule(env)
+      return
+    }
+    if (ctx.path === processEnvScript || scripts.includes(ctx.path)) {
+      // For code still reading `process.env`
+      ctx.type = 'js'
+      ctx.body = `globalThis.process = { env: ${JSON.stringify(env)} }\n`
+      return
+    }
+    return next()
   }
+}
 
-  const output = {}
-  for (let k of Object.keys(env.parsed)) {
-    if (k.toLowerCase().includes('password')) continue
-    output[k] = env.parsed[k]
-  }
-  return output
+function scriptJson(value) {
+  // Escaped so values can't close the inline script they're embedded in
+  return JSON.stringify(value).replace(/</g, '\\u003c')
 }
 
 function scriptDir() {
   return path.dirname(import.meta.url).substring(7)
 }
 
-function previewComponent(componentPath, name, ...attrs) {
+/**
+ * Serve the component on a preview page, with hot module reloading
+ * @param {PreviewOptions} options
+ * @returns {Promise<any>} The started dev server
+ */
+export async function previewComponent(options = {}) {
+  const config = await loadConfig(options)
+  const componentPath = componentPathOf(options.path, config)
+  const { name, attrs = {} } = options
   const dir = path.join(componentPath, name)
 
   if (!fs.existsSync(dir)) {
-    console.error(`Could not find component ${name} at ${componentPath}`)
-    process.exit(5)
+    throw new CommandError(`Could not find component ${name} at ${componentPath}`, exitCodes.notFound)
   }
 
-  const attributes = attrs.reduce((output, x) => {
-    const attr = x.split(':', 2)[0]
-    const val = x.split(':', 2)[1]
-    output[attr] = val
-    return output
-  }, {})
+  const attributes = Array.isArray(attrs) ? parseAttributes(attrs) : attrs
   const html = `<html>
   <head>
-    <script src="${name}/env.js"></script>
+    <script src="${processEnvScript}"></script>
     <script type="module">
     import Component from "./${name}/${name}.js"
-    new Component(JSON.parse('${JSON.stringify(attributes)}')).$mount("#content")
+    new Component(${scriptJson(attributes)}).$mount("#content")
     </script>
   </head>
   <body>
@@ -113,103 +182,1042 @@ function previewComponent(componentPath, name, ...attrs) {
 
   fs.writeFileSync(index, html)
 
-  const env = path.join(dir, `env.js`)
-  generatEnv(env)
+  const env = await envs(options.mode || 'development', config)
+  return runServe({ open: options.open === false ? false : `/${dir}` }, config, [envMiddleware(env)])
+}
+
+/**
+ * Serve the interactive gallery of the components under the path, with hot module reloading
+ * @param {GalleryOptions} options
+ * @returns {Promise<any>} The started dev server
+ */
+export async function gallery(options = {}) {
+  const config = await loadConfig(options)
+  const componentPath = componentPathOf(options.path, config)
+  if (!fs.existsSync(componentPath)) {
+    throw new CommandError(`Could not find components at ${componentPath}`, exitCodes.notFound)
+  }
+
+  const root = path.resolve(componentPath)
+  if (path.relative(process.cwd(), root).startsWith('..')) {
+    throw new CommandError(
+      `The components at ${componentPath} must be under the current directory to be served`,
+      exitCodes.notFound
+    )
+  }
+
+  const env = await envs(options.mode || 'development', config)
+  const open = options.open === false ? false : galleryPage
+  return runServe({ open }, config, [envMiddleware(env), galleryMiddleware(root)])
+}
+
+function toUrl(file) {
+  return '/' + path.relative(process.cwd(), file).split(path.sep).join('/')
+}
 
-  runServe('--open', `/${dir}`)
+function galleryComponents(root) {
+  return findComponents(root).map((c) => {
+    const stories = path.join(path.dirname(c.js), `${c.name}.stories.js`)
+    return { name: c.name, module: toUrl(c.js), stories: fs.existsSync(stories) ? toUrl(stories) : null, file: stories }
+  })
 }
 
-function generatEnv(env) {
-  const output = `
-    process = {
-      env: {}
+function galleryMiddleware(root) {
+  return async (ctx, next) => {
+    if (ctx.method === 'GET' && ctx.path === galleryPage) {
+      // Found again on every load, so components created while serving are listed
+      const components = galleryComponents(root).map(({ file, ...c }) => c)
+      ctx.type = 'html'
+      ctx.body = `<html>
+  <head>
+    <script src="${processEnvScript}"></script>
+    <script type="module" src="${hmrScript}"></script>
+    <script type="module">
+    import { Gallery } from "${toUrl(path.join(scriptDir(), 'gallery.js'))}"
+    new Gallery(${scriptJson({ components })}).$mount("#gallery")
+    </script>
+  </head>
+  <body style="margin: 0">
+    <div id="gallery"></div>
+  </body>
+</html>
+`
+      return
     }
-    process.env = JSON.parse('${JSON.stringify(envs())}')
-  `
-  fs.writeFileSync(env, output)
+
+    if (ctx.method === 'POST' && ctx.path === galleryStories) {
+      let body = ''
+      for await (const chunk of ctx.req) body += chunk
+      try {
+        const { component, stories } = JSON.parse(body)
+        const found = galleryComponents(root).find((c) => c.name === component)
+        if (!found) {
+          ctx.status = 404
+          return
+        }
+        fs.writeFileSync(found.file, `export default ${JSON.stringify(stories, null, 2)}\n`)
+        ctx.status = 204
+      } catch (ex) {
+        console.error(`An error occurred saving stories`, ex)
+        ctx.status = 400
+      }
+      return
+    }
+
+    return next()
+  }
+}
+
+function parseAttributes(attrs) {
+  return attrs.reduce((output, x) => {
+    const attr = x.split(':', 2)[0]
+    const val = x.split(':', 2)[1]
+    output[attr] = val
+    return output
+  }, {})
 }
 
-function runServe(...args) {
-  async function main() {
-    const serverArgs = ['--debug', '-c', scriptDir() + '/web-dev-server.config.mjs', ...args]
-    console.log(serverArgs)
-    await startDevServer({
-      argv: serverArgs,
+/**
+ * Render the component to HTML with Declarative Shadow DOM
+ * @param {RenderOptions} options
+ * @returns {Promise<string>} The rendered HTML
+ */
+export async function renderComponent(options = {}) {
+  const config = await loadConfig(options)
+  const componentPath = componentPathOf(options.path, config)
+  const { name, attrs = {} } = options
+  const js = path.join(componentPath, name, `${name}.js`)
+
+  if (!fs.existsSync(js)) {
+    throw new CommandError(`Could not find component ${name} at ${componentPath}`, exitCodes.notFound)
+  }
+
+  try {
+    return await render(js, Array.isArray(attrs) ? parseAttributes(attrs) : attrs)
+  } catch (ex) {
+    throw new CommandError(`An error occurred rendering component ${name}`, exitCodes.failed, ex)
+  }
+}
+
+function findComponents(dir) {
+  const name = path.basename(dir)
+  const js = path.join(dir, `${name}.js`)
+  const found = fs.existsSync(js)
+    ? [{ name, js, html: path.join(dir, `${name}.html`), css: path.join(dir, `${name}.css`) }]
+    : []
+
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (!entry.isDirectory() || entry.name === 'node_modules' || entry.name.startsWith('.')) continue
+    found.push(...findComponents(path.join(dir, entry.name)))
+  }
+  return found
+}
+
+function inlineAssets(components) {
+  const prefix = '\0maehem-assets:'
+  const runtime = fs.realpathSync(path.join(scriptDir(), 'index.js'))
+  const byName = Object.fromEntries(components.map((c) => [c.name, c]))
+  const byFile = Object.fromEntries(components.map((c) => [fs.realpathSync(c.js), c]))
+  const read = (file) => (fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '')
+
+  return {
+    name: 'maehem-inline-assets',
+    resolveId(id) {
+      return id.startsWith(prefix) ? id : null
+    },
+    load(id) {
+      if (!id.startsWith(prefix)) return null
+      const component = byName[id.slice(prefix.length)]
+      const assets = { view: read(component.html), style: read(component.css) }
+      return `import Component from ${JSON.stringify(runtime)}
+Component.inline(${JSON.stringify(component.name)}, ${JSON.stringify(assets)})
+`
+    },
+    transform(code, id) {
+      const component = byFile[id]
+      if (!component) return null
+      // The assets are imported first so they're inlined before the component defines itself
+      return { code: `import ${JSON.stringify(prefix + component.name)}\n${code}`, map: null }
+    },
+  }
+}
+
+function inlineEnv(env) {
+  const envFile = fs.realpathSync(path.join(scriptDir(), 'env.js'))
+  return {
+    name: 'maehem-inline-env',
+    load(id) {
+      return id === envFile ? envModule(env) : null
+    },
+  }
+}
+
+/**
+ * Bundle every component under the source path into an ES module, with its view and style inlined
+ * @param {BuildOptions} options
+ * @returns {Promise<Object.<string, any>>} The manifest of the bundles, also written to manifest.json
+ */
+export async function buildComponents(options = {}) {
+  const config = await loadConfig(options)
+  const src = componentPathOf(options.src, config, 'SRC')
+  const { out } = options
+  if (!fs.existsSync(src)) {
+    throw new CommandError(`Could not find components to build at ${src}`, exitCodes.notFound)
+  }
+
+  const components = findComponents(path.resolve(src))
+  if (!components.length) {
+    throw new CommandError(`No components found at ${src}`, exitCodes.notFound)
+  }
+
+  const manifest = {}
+  try {
+    const bundle = await rollup({
+      input: Object.fromEntries(components.map((c) => [c.name, c.js])),
+      plugins: [inlineAssets(components), inlineEnv(await envs(options.mode || 'production', config)), nodeResolve()],
     })
+    const { output } = await bundle.write({
+      dir: out,
+      format: 'es',
+      entryFileNames: '[name].js',
+      chunkFileNames: 'chunks/[name]-[hash].js',
+    })
+    await bundle.close()
+
+    for (const chunk of output) {
+      if (chunk.type !== 'chunk' || !chunk.isEntry) continue
+      const component = components.find((c) => c.name === chunk.name)
+      manifest[chunk.name] = {
+        file: chunk.fileName,
+        imports: chunk.imports,
+        view: fs.existsSync(component.html),
+        style: fs.existsSync(component.css),
+      }
+    }
+    fs.writeFileSync(path.join(out, 'manifest.json'), JSON.stringify(manifest, null, 2))
+  } catch (ex) {
+    throw new CommandError(`An error occurred building components at ${src}`, exitCodes.failed, ex)
   }
 
-  main()
+  console.log(`Built ${components.length} components to ${out}`)
+  return manifest
 }
 
-function serve(index) {
-  const absIndex = path.resolve(index)
-  const dir = path.dirname(absIndex)
-  const env = path.join(dir, `env.js`)
-  generatEnv(env)
-  runServe('--open', `/`, '-a', path.resolve(index))
+function findTests(dir) {
+  const found = []
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const file = path.join(dir, entry.name)
+    if (entry.isDirectory()) {
+      if (entry.name !== 'node_modules' && !entry.name.startsWith('.')) found.push(...findTests(file))
+    } else if (/\.test\.m?js$/.test(entry.name)) {
+      found.push(file)
+    }
+  }
+  return found
 }
 
-function makeComponent(componentPath, name) {
-  const dir = path.join(componentPath, name)
+function readComponentFiles(components) {
+  const byName = Object.fromEntries(components.map((c) => [c.name, c]))
+  return async (url) => {
+    const [name, ext] = url.split('?')[0].split('/').pop().split('.')
+    const file = byName[name] && (ext === 'html' || ext === 'css') ? byName[name][ext] : null
+    if (!file || !fs.existsSync(file)) return { ok: false, status: 404, text: async () => '' }
+    const body = fs.readFileSync(file, 'utf8')
+    return { ok: true, status: 200, text: async () => body }
+  }
+}
 
+/**
+ * Run the component tests under the path in Node, with a DOM shim and no browser or network
+ * @param {TestOptions} options
+ * @returns {Promise<string[]>} The test files, which `node:test` runs once they are loaded
+ */
+export async function runTests(options = {}) {
+  const config = await loadConfig(options)
+  const dir = options.path || config.componentPath || '.'
+  if (!fs.existsSync(dir)) {
+    throw new CommandError(`Could not find tests at ${dir}`, exitCodes.notFound)
+  }
+
+  const root = path.resolve(dir)
+  const tests = findTests(root)
+  if (!tests.length) {
+    throw new CommandError(`No tests found at ${dir}`, exitCodes.notFound)
+  }
+
+  installShim()
+  const { installFetch } = await import('./testing.js')
+  // Views and styles that aren't registered by the tests are read from the components found on disk
+  installFetch(readComponentFiles(findComponents(root)))
+
+  for (const test of tests) {
+    try {
+      await import(pathToFileURL(test).href)
+    } catch (ex) {
+      throw new CommandError(`An error occurred loading tests ${test}`, exitCodes.failed, ex)
+    }
+  }
+  return tests
+}
+
+async function runServe(server, config = {}, middleware = []) {
+  const { default: packaged } = await import('./web-dev-server.config.mjs')
+  const devServer = config.devServer || {}
+  const serverConfig = Object.assign({}, packaged, devServer, server, {
+    debug: true,
+    nodeResolve: true,
+    plugins: [...(packaged.plugins || []), ...(devServer.plugins || [])],
+    // Mocks come first so they can stand in for routes that are otherwise proxied
+    middleware: [
+      ...mockMiddleware(config.mocks),
+      ...proxyMiddleware(config.proxy),
+      ...middleware,
+      ...(devServer.middleware || []),
+    ],
+  })
+  if (config.port !== undefined) serverConfig.port = config.port
+  if (config.host !== undefined) serverConfig.hostname = config.host
+  if (config.basePath !== undefined) serverConfig.basePath = config.basePath
+
+  return startDevServer({
+    argv: [],
+    config: serverConfig,
+    readFileConfig: false,
+  })
+}
+
+function compileRoute(pattern) {
+  const keys = []
+  const source = pattern
+    .split('/')
+    .map((segment) => {
+      if (segment === '*') return '.*'
+      if (segment.startsWith(':')) {
+        keys.push(segment.slice(1))
+        return '([^/]+)'
+      }
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    })
+    .join('/')
+  return { regex: new RegExp(`^${source}/?$`), keys }
+}
+
+function mockMiddleware(mocks = {}) {
+  const routes = Object.entries(mocks).map(([route, handler]) => {
+    const [method, pattern] = route.includes(' ') ? route.trim().split(/\s+/) : ['*', route]
+    return Object.assign(compileRoute(pattern), { method: method.toUpperCase(), handler })
+  })
+  if (!routes.length) return []
+
+  return [
+    async (ctx, next) => {
+      for (const { method, regex, keys, handler } of routes) {
+        const match = ctx.path.match(regex)
+        if (!match || (method !== '*' && method !== ctx.method)) continue
+        const params = Object.fromEntries(keys.map((key, idx) => [key, decodeURIComponent(match[idx + 1])]))
+        try {
+          await respondMock(ctx, handler, params)
+        } catch (ex) {
+          console.error(`An error occurred in the mock for ${ctx.method} ${ctx.path}`, ex)
+          ctx.status = 500
+          ctx.body = { error: ex.message }
+        }
+        return
+      }
+      return next()
+    },
+  ]
+}
+
+async function respondMock(ctx, handler, params) {
+  if (typeof handler === 'string') {
+    // JSON fixtures are read on every request, so they can be edited while serving
+    const file = path.resolve(handler)
+    if (!fs.existsSync(file)) throw new Error(`Could not find fixture ${handler}`)
+    ctx.type = 'json'
+    ctx.body = fs.readFileSync(file, 'utf8')
+    return
+  }
+  if (typeof handler !== 'function') {
+    ctx.body = handler
+    return
+  }
+
+  let body = ''
+  for await (const chunk of ctx.req) body += chunk
+  const json = body && (ctx.get('content-type') || '').includes('json')
+  const request = {
+    method: ctx.method,
+    path: ctx.path,
+    params,
+    query: Object.fromEntries(new URLSearchParams(ctx.querystring)),
+    headers: ctx.headers,
+    body: json ? JSON.parse(body) : body,
+  }
+  const result = await handler(request, ctx)
+  if (result !== undefined) ctx.body = result
+}
+
+function proxyMiddleware(proxy = {}) {
+  return Object.entries(proxy).map(([prefix, rule]) => {
+    const {
+      target,
+      rewrite = null,
+      changeOrigin = true,
+      headers = {},
+    } = typeof rule === 'string' ? { target: rule } : rule
+    const base = prefix.replace(/\/$/, '')
+
+    return (ctx, next) => {
+      if (ctx.path !== base && !ctx.path.startsWith(base + '/')) return next()
+      const url = new URL(target.replace(/\/$/, '') + (rewrite ? rewrite(ctx.url) : ctx.url))
+      const requestHeaders = Object.assign({}, ctx.headers, headers)
+      if (changeOrigin) requestHeaders.host = url.host
+
+      return new Promise((resolve) => {
+        const client = url.protocol === 'https:' ? https : http
+        const req = client.request(url, { method: ctx.method, headers: requestHeaders }, (res) => {
+          ctx.status = res.statusCode
+          for (const [key, value] of Object.entries(res.headers)) {
+            if (!hopHeaders.includes(key)) ctx.set(key, value)
+          }
+          ctx.body = res
+          resolve()
+        })
+        req.on('error', (err) => {
+          console.error(`An error occurred proxying ${ctx.method} ${ctx.url} to ${url}`, err.message)
+          ctx.status = 502
+          ctx.body = `Could not reach ${url.origin}`
+          resolve()
+        })
+        ctx.req.pipe(req)
+      })
+    }
+  })
+}
+
+/**
+ * Serve the application of the index page, answering deep links with the index for the router to resolve
+ * @param {ServeOptions} options
+ * @returns {Promise<any>} The started dev server
+ */
+export async function serve(options = {}) {
+  const config = await loadConfig(options)
+  if (!options.index || !fs.existsSync(options.index)) {
+    throw new CommandError(`Could not find index page ${options.index}`, exitCodes.notFound)
+  }
+
+  const absIndex = path.resolve(options.index)
+  // Pages written for the env.js that used to be generated next to them get it from memory instead
+  const legacyScript = toUrl(path.join(path.dirname(absIndex), 'env.js'))
+  const env = await envs(options.mode || 'development', config)
+  return runServe({ open: options.open === false ? false : '/', appIndex: absIndex }, config, [
+    envMiddleware(env, [legacyScript]),
+    spaFallback(absIndex),
+  ])
+}
+
+function spaFallback(index, root = process.cwd()) {
+  const indexPath = '/' + path.relative(root, index).split(path.sep).join('/')
+  return (ctx, next) => {
+    const accept = (ctx.headers && ctx.headers.accept) || ''
+    if (ctx.method === 'GET' && accept.includes('text/html') && !isFile(root, ctx.path)) {
+      // Deep links have no file behind them, so they're answered with the index for the router to resolve. Their
+      // paths may have dots, like /users/john.doe.
+      ctx.url = indexPath
+    }
+    return next()
+  }
+}
+
+function isFile(root, urlPath) {
+  try {
+    return fs.statSync(path.join(root, decodeURIComponent(urlPath))).isFile()
+  } catch (ex) {
+    return false
+  }
+}
+
+function validateName(name) {
+  if (!name) return 'No component name given'
+  if (!/^[a-z][a-z0-9._]*-[a-z0-9._-]*$/.test(name)) {
+    return `Invalid component name ${name}, names must start with a lowercase letter and contain a dash, e.g. my-component`
+  }
+  if (reservedNames.has(name)) return `Invalid component name ${name}, the name is reserved by HTML`
+  return null
+}
+
+function parseFields(spec = '') {
+  return spec
+    .split(',')
+    .map((x) => x.trim())
+    .filter(Boolean)
+    .map((x) => {
+      const [name, kind = 'state', type = 'string'] = x.split(':').map((part) => part.trim())
+      if (!/^[A-Za-z_$][\w$]*$/.test(name)) throw new Error(`Invalid field name ${name}`)
+      if (!['attr', 'state', 'store', 'context'].includes(kind))
+        throw new Error(`Invalid kind ${kind} for field ${name}`)
+      if (!fieldTypes[type]) throw new Error(`Invalid type ${type} for field ${name}`)
+      // HTML lowercases attribute names, so attr fields with capitals would never receive their attribute
+      if (kind === 'attr' && name !== name.toLowerCase()) throw new Error(`Attr field ${name} must be lowercase`)
+      return { name, kind, type }
+    })
+}
+
+function generateFields(fields) {
+  if (!fields.length) return ''
+  const entries = fields.map((f) => {
+    const path = f.kind === 'store' ? `, path: '${f.name}'` : f.kind === 'context' ? `, key: '${f.name}'` : ''
+    return `      { name: '${f.name}', kind: '${f.kind}', type: ${fieldTypes[f.type].type}, default: ${
+      fieldTypes[f.type].default
+    }${path} },`
+  })
+  return `\n${entries.join('\n')}\n    `
+}
+
+function generateHooks(fields, ts) {
+  return fields
+    .map((f) => {
+      const type = ts ? `: ${fieldTypes[f.type].ts}` : ''
+      return `
+  render_${f.name}()${ts ? ': void' : ''} {
+    return
+  }
+
+  async ${f.name}_updated(newValue${type}, oldValue${type})${ts ? ': Promise<void>' : ''} {
+    return
+  }`
+    })
+    .join('\n')
+}
+
+function generateDeclarations(fields) {
+  return fields.length ? fields.map((f) => `  declare ${f.name}: ${fieldTypes[f.type].ts}`).join('\n') + '\n' : ''
+}
+
+function generateStory(fields) {
+  return fields.length ? `{ ${fields.map((f) => `${f.name}: ${fieldTypes[f.type].story}`).join(', ')} }` : '{}'
+}
+
+function copyTemplate(templateDir, dir, placeholders) {
+  const value = (match, key) => (key in placeholders ? placeholders[key] : match)
+  // Placeholders alone on their line replace the whole line, which is removed when they're empty
+  const fill = (text) =>
+    text
+      .replace(/^[ \t]*__([A-Z_]+)__[ \t]*\n/gm, (match, key) => {
+        const filled = value(match, key)
+        return filled === match || !filled ? filled : filled + '\n'
+      })
+      .replace(/__([A-Z_]+)__/g, value)
+  for (const entry of fs.readdirSync(templateDir, { withFileTypes: true })) {
+    const from = path.join(templateDir, entry.name)
+    const to = path.join(dir, fill(entry.name))
+    if (entry.isDirectory()) {
+      fs.mkdirSync(to)
+      copyTemplate(from, to, placeholders)
+    } else {
+      fs.writeFileSync(to, fill(fs.readFileSync(from, 'utf8')))
+    }
+  }
+}
+
+/**
+ * Create a new component from a template, with a test and stories
+ * @param {NewOptions} options
+ * @returns {Promise<string>} The directory of the component
+ */
+export async function makeComponent(options = {}) {
+  const config = await loadConfig(options)
+  const componentPath = componentPathOf(options.path, config)
+  const { name } = options
+
+  const invalid = validateName(name)
+  if (invalid) throw new CommandError(invalid, exitCodes.invalid)
+
+  let fields
+  try {
+    fields = parseFields(options.fields)
+  } catch (ex) {
+    throw new CommandError(ex.message, exitCodes.invalid)
+  }
+
+  const templateDir = options.template
+    ? path.resolve(options.template)
+    : path.join(scriptDir(), 'templates', options.ts ? 'component-ts' : 'component-js')
+  if (!fs.existsSync(templateDir)) {
+    throw new CommandError(`Could not find template ${options.template}`, exitCodes.notFound)
+  }
+
+  const dir = path.join(componentPath, name)
   if (fs.existsSync(dir)) {
-    console.error(`Directory ${dir} already exists.`)
-    process.exit(3)
+    throw new CommandError(`Directory ${dir} already exists.`, exitCodes.exists)
+  }
+
+  const placeholders = {
+    NAME: name,
+    CLASS_NAME: name
+      .split(/[-._]/)
+      .map((x) => x.charAt(0).toUpperCase() + x.substr(1).toLowerCase())
+      .join(''),
+    // Resolved by the dev server and bundler wherever maehem is installed
+    IMPORT: 'maehem',
+    FIELDS: generateFields(fields),
+    HOOKS: generateHooks(fields, !!options.ts),
+    DECLARATIONS: generateDeclarations(fields),
+    STORY: generateStory(fields),
   }
 
   try {
-    fs.mkdirSync(dir)
+    fs.mkdirSync(dir, { recursive: true })
+    copyTemplate(templateDir, dir, placeholders)
   } catch (ex) {
-    console.error(`An error occurred creating component directory ${dir}`, ex)
+    throw new CommandError(`An error occurred creating component ${name} at ${dir}`, exitCodes.failed, ex)
   }
 
-  const css = path.join(dir, `${name}.css`)
-  const html = path.join(dir, `${name}.html`)
-  const js = path.join(dir, `${name}.js`)
-  const className = name
-    .split('-')
-    .map((x) => x.charAt(0).toUpperCase() + x.substr(1).toLowerCase())
-    .join('')
+  console.log(`Component ${name} successfully created at ${dir}`)
+  if (options.ts && !options.template) {
+    console.log('Compile it with tsc to .js files next to the sources, which gallery, build and test load')
+  }
+  return dir
+}
+
+/**
+ * The options read from the config file and overridden by every command
+ * @typedef {Object} ConfigOptions
+ * @property {string|undefined} config - The config file to read. Defaults to maehem.config.mjs
+ * @property {string|undefined} componentPath - The path of the components, when the command isn't given one
+ */
+
+/**
+ * The options of the commands that start a dev server
+ * @typedef {Object} ServerOptions
+ * @property {number|undefined} port - The port to serve on
+ * @property {string|undefined} host - The host to serve on
+ * @property {string|undefined} basePath - The base path to serve under
+ * @property {string|undefined} mode - The mode whose .env.<mode> file is loaded. Defaults to development
+ * @property {boolean|undefined} open - False not to open the browser
+ */
+
+/**
+ * @typedef {ConfigOptions & {path: string|undefined, name: string, ts: boolean|undefined, template: string|undefined, fields: string|undefined}} NewOptions
+ * @typedef {ConfigOptions & ServerOptions & {path: string|undefined, name: string, attrs: Object.<string, string>|string[]|undefined}} PreviewOptions
+ * @typedef {ConfigOptions & ServerOptions & {path: string|undefined}} GalleryOptions
+ * @typedef {ConfigOptions & ServerOptions & {index: string}} ServeOptions
+ * @typedef {ConfigOptions & {path: string|undefined, name: string, attrs: Object.<string, string>|string[]|undefined}} RenderOptions
+ * @typedef {ConfigOptions & {src: string|undefined, out: string, mode: string|undefined}} BuildOptions
+ * @typedef {ConfigOptions & {path: string|undefined}} TestOptions
+ */
+
+const configOptions = {
+  config: { value: 'FILE', description: 'The config file to read. Defaults to maehem.config.mjs' },
+  'component-path': { value: 'PATH', description: 'Overrides componentPath of the config' },
+}
+
+const serverOptions = {
+  port: { value: 'PORT', type: 'number', description: 'The port to serve on. Overrides port of the config' },
+  host: { value: 'HOST', description: 'The host to serve on. Overrides host of the config' },
+  'base-path': { value: 'PATH', description: 'The base path to serve under. Overrides basePath of the config' },
+  mode: { value: 'MODE', description: 'The mode whose .env.<mode> file is loaded. Defaults to development' },
+  open: { type: 'boolean', description: 'Open the browser, pass --open=false not to. Defaults to true' },
+}
 
-  createFile(css)
-  createFile(html)
-  createFile(js)
+const helpWidth = 100
 
-  const jsTemplate = `import Component from '../../node_modules/maehem/index.js'
+const helpOption = { help: { type: 'boolean', description: 'Show this help' } }
 
-export default class ${className} extends Component {
-  static name = '${name}'
+const commands = {
+  new: {
+    summary: 'Create a new component with a test and stories',
+    description:
+      'TypeScript components are compiled with tsc to .js files next to their sources, which are the files gallery, build and test load',
+    args: [
+      { name: 'PATH', key: 'path', optional: true, description: 'Path on which to create the component' },
+      { name: 'NAME', key: 'name', description: 'Name of the component to create, which must contain a dash' },
+    ],
+    options: {
+      ts: { type: 'boolean', description: 'Create a TypeScript component, to compile with tsc' },
+      template: {
+        value: 'DIR',
+        description:
+          'Create the component from the files in DIR instead. The placeholders __NAME__, __CLASS_NAME__, __IMPORT__, __FIELDS__, __HOOKS__, __DECLARATIONS__ and __STORY__ are replaced in file names and contents',
+      },
+      fields: {
+        value: 'FIELDS',
+        description:
+          'The fields to create, as comma separated name:kind:type, where kind is attr, state, store or context and type is string, number, boolean, object, array or date',
+      },
+      ...configOptions,
+    },
+    examples: ['maehem new ./components my-component --fields "title:attr:string,count:state:number"'],
+    run: makeComponent,
+  },
+  preview: {
+    summary: 'Serve a component on a preview page, with hot module reloading',
+    args: [
+      { name: 'PATH', key: 'path', optional: true, description: 'Path on which the component exists' },
+      { name: 'NAME', key: 'name', description: 'Name of the component to preview' },
+      {
+        name: 'ATTRS',
+        key: 'attrs',
+        rest: true,
+        description: 'The attributes to pass to the component, as name:value',
+      },
+    ],
+    options: { ...serverOptions, ...configOptions },
+    examples: ['maehem preview ./components my-component id:myComponent foo:bar refresh:false'],
+    run: previewComponent,
+  },
+  gallery: {
+    summary: 'Serve an interactive gallery of components, with hot module reloading',
+    description:
+      'Every component under PATH is listed with controls for its fields, a log of its change events and its stories',
+    args: [
+      {
+        name: 'PATH',
+        key: 'path',
+        optional: true,
+        description: 'Path under which to find components. Stories are read from and saved to <name>.stories.js',
+      },
+    ],
+    options: { ...serverOptions, ...configOptions },
+    examples: ['maehem gallery ./components'],
+    run: gallery,
+  },
+  serve: {
+    summary: 'Serve an application, answering deep links with its index page',
+    description:
+      "Requests for pages that have no file behind them are answered with INDEX, so the router can resolve them. Its 'maehem/env' module is served from memory",
+    args: [{ name: 'INDEX', key: 'index', description: 'The index page of the application' }],
+    options: { ...serverOptions, ...configOptions },
+    examples: ['maehem serve ./index.html --port 8080'],
+    run: serve,
+  },
+  render: {
+    summary: 'Render a component to HTML with Declarative Shadow DOM and print it',
+    args: [
+      { name: 'PATH', key: 'path', optional: true, description: 'Path on which the component exists' },
+      { name: 'NAME', key: 'name', description: 'Name of the component to render' },
+      {
+        name: 'ATTRS',
+        key: 'attrs',
+        rest: true,
+        description: 'The attributes to render the component with, as name:value',
+      },
+    ],
+    options: configOptions,
+    examples: ['maehem render ./components my-component id:myComponent foo:bar refresh:false'],
+    run: async (options) => console.log(await renderComponent(options)),
+  },
+  build: {
+    summary: 'Bundle every component into an ES module, with its view and style inlined',
+    args: [
+      { name: 'SRC', key: 'src', optional: true, description: 'Path under which to find components' },
+      { name: 'OUT', key: 'out', description: 'Path to write the bundles and their manifest.json to' },
+    ],
+    options: {
+      mode: { value: 'MODE', description: 'The mode whose .env.<mode> file is inlined. Defaults to production' },
+      ...configOptions,
+    },
+    examples: ['maehem build ./components ./dist'],
+    run: buildComponents,
+  },
+  test: {
+    summary: 'Run the component tests in Node, with a DOM shim and no browser or network',
+    args: [
+      {
+        name: 'PATH',
+        key: 'path',
+        optional: true,
+        description:
+          'Path under which to find tests, files named *.test.js or *.test.mjs. Defaults to the current directory',
+      },
+    ],
+    options: configOptions,
+    examples: ['maehem test ./components'],
+    run: runTests,
+  },
+}
+
+const exitCodeHelp = {
+  ok: 'The command succeeded, or help or the version was printed',
+  error: 'An unexpected error occurred',
+  usage: 'The command, an option or an argument is unknown or missing',
+  exists: 'The component to create already exists',
+  invalid: 'The component name or fields are invalid',
+  notFound: 'A component, path, template, index page or config file could not be found',
+  failed: 'An error occurred rendering, building, loading tests or writing files',
+}
+
+function version() {
+  return JSON.parse(fs.readFileSync(path.join(scriptDir(), 'package.json'), 'utf8')).version
+}
 
-  fields() {
-    return [
-    ]
+function distance(a, b) {
+  // The edits between the strings, counting swapped neighbouring letters as one
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)])
+  for (let j = 1; j <= b.length; j++) d[0][j] = j
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost)
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1)
+      }
+    }
   }
+  return d[a.length][b.length]
+}
 
-  async onConnected() {
-    return
+function suggest(input, candidates) {
+  let best = null
+  let bestDistance = Infinity
+  for (const candidate of candidates) {
+    const d = distance(input, candidate)
+    if (d < bestDistance) [best, bestDistance] = [candidate, d]
+  }
+  // Only close matches are suggested, a third of the input's letters can be wrong
+  return bestDistance <= Math.max(1, Math.floor(input.length / 3)) ? best : null
+}
+
+function camelCase(flag) {
+  return flag.replace(/-([a-z])/g, (_, c) => c.toUpperCase())
+}
+
+function parseArgs(argv, command) {
+  const specs = Object.assign({}, command.options, helpOption)
+  const positional = []
+  const options = {}
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '--') {
+      positional.push(...argv.slice(i + 1))
+      break
+    }
+    if (arg === '-h') {
+      options.help = true
+      continue
+    }
+    if (!arg.startsWith('--')) {
+      positional.push(arg)
+      continue
+    }
+
+    const [flag, inline] = arg.slice(2).split(/=(.*)/s)
+    const spec = specs[flag]
+    if (!spec) {
+      const suggestion = suggest(flag, Object.keys(specs))
+      throw new CommandError(
+        `Unknown option --${flag}${suggestion ? `, did you mean --${suggestion}?` : ''}`,
+        exitCodes.usage
+      )
+    }
+
+    let value = inline
+    if (spec.type === 'boolean') {
+      value = inline === undefined || inline !== 'false'
+    } else {
+      if (value === undefined) {
+        if (i + 1 >= argv.length)
+          throw new CommandError(`Option --${flag} needs a value ${spec.value}`, exitCodes.usage)
+        value = argv[++i]
+      }
+      if (spec.type === 'number') {
+        value = Number(value)
+        if (Number.isNaN(value)) throw new CommandError(`Option --${flag} must be a number`, exitCodes.usage)
+      }
+    }
+    options[camelCase(flag)] = value
   }
+  return { positional, options }
 }
 
-${className}.define()
+function mapArgs(positional, command) {
+  const fixed = command.args.filter((arg) => !arg.rest)
+  const rest = command.args.find((arg) => arg.rest)
+  // Attributes are the only args with a colon, so the args before them are the fixed ones
+  const attrs = rest ? positional.findIndex((arg) => arg.includes(':')) : -1
+  const given = Math.min(attrs === -1 ? positional.length : attrs, fixed.length)
+
+  // Optional args are left out from the front, so `maehem new my-component` uses the componentPath of the config
+  let skip = fixed.length - given
+  const values = {}
+  let idx = 0
+  for (const arg of fixed) {
+    if (skip > 0 && arg.optional) {
+      skip--
+      continue
+    }
+    if (idx >= given) throw new CommandError(`Missing argument ${arg.name}`, exitCodes.usage)
+    values[arg.key] = positional[idx++]
+  }
+
+  if (rest) values[rest.key] = positional.slice(idx)
+  else if (idx < positional.length) throw new CommandError(`Unexpected argument ${positional[idx]}`, exitCodes.usage)
+  return values
+}
+
+function wrap(text, indent) {
+  const lines = ['']
+  for (const word of text.split(' ')) {
+    const line = lines[lines.length - 1]
+    if (line && indent.length + line.length + word.length >= helpWidth) lines.push(word)
+    else lines[lines.length - 1] = line ? `${line} ${word}` : word
+  }
+  return lines.join('\n' + indent)
+}
+
+function formatEntries(entries) {
+  const width = Math.max(...entries.map(([term]) => term.length)) + 2
+  return entries
+    .map(([term, description]) => `    ${term.padEnd(width)}${wrap(description, ' '.repeat(4 + width))}`)
+    .join('\n')
+}
+
+function usage(name) {
+  const { args, options } = commands[name]
+  const argList = args.map((arg) => {
+    const label = arg.rest ? `...${arg.name}` : arg.name
+    return arg.optional || arg.rest ? `[${label}]` : label
+  })
+  return ['maehem', name, ...argList, Object.keys(options).length ? '[options]' : ''].filter(Boolean).join(' ')
+}
+
+function commandHelp(name) {
+  const command = commands[name]
+  const optional = command.args.some((arg) => arg.optional)
+  const options = Object.entries(Object.assign({}, command.options, helpOption)).map(([flag, spec]) => [
+    `--${flag}${spec.value ? ' ' + spec.value : ''}`,
+    spec.description,
+  ])
+  return `
+  maehem ${name} - ${command.summary}${command.description ? `\n\n  ${wrap(command.description, '  ')}` : ''}
+
+  Usage:
+    ${usage(name)}
+
+  Args:
+${formatEntries(command.args.map((arg) => [arg.name, arg.description]))}${
+    optional ? '\n    Optional paths default to componentPath of maehem.config.mjs' : ''
+  }
+
+  Options:
+${formatEntries(options)}
+
+  Example:
+${command.examples.map((example) => `    ${example}`).join('\n')}
 `
+}
 
-  fs.writeFileSync(js, jsTemplate)
+function help() {
+  return `
+  maehem ${version()}
 
-  const htmlTemplate = `<template id="child-items">
-  <div class="child-item"></div>
-</template>
+  Usage:
+    maehem <command> [options]
 
-<div id="items"></div>`
+  Commands:
+${formatEntries(Object.entries(commands).map(([name, command]) => [name, command.summary]))}
 
-  fs.writeFileSync(html, htmlTemplate)
+  Options:
+${formatEntries([
+  ['-h, --help', 'Show this help, or the help of the command'],
+  ['-v, --version', 'Show the version of maehem'],
+])}
 
-  console.log(`Component ${name} successfully created at ${dir}`)
+  Run 'maehem <command> --help' for the usage of a command.
+
+  Configuration:
+    Every command reads maehem.config.mjs from the current directory, or the file given with
+    --config FILE. Its componentPath is used when PATH or SRC is left out, and the preview, gallery
+    and serve dev servers use its port, host, basePath, proxy and mocks:
+
+      export default {
+        componentPath: './components',
+        port: 8080,
+        host: 'localhost',
+        basePath: '/app',
+        proxy: { '/api': 'http://localhost:3000' },
+        mocks: {
+          'GET /api/users': './fixtures/users.json',
+          'GET /api/users/:id': ({ params }) => ({ id: params.id }),
+        },
+        devServer: {},
+      }
+
+    proxy: Requests under each path prefix are forwarded to its target, given as a URL or as
+           { target, rewrite, changeOrigin, headers }
+    mocks: Answer the requests matching 'METHOD /path', or '/path' for any method, with :params and *.
+           The value is a JSON fixture file, a handler called with { method, path, params, query,
+           headers, body } whose return value is the response body, or the response body itself.
+           Mocks are matched before the proxy
+    devServer: Merged into the @web/dev-server config, with its plugins and middleware added to ours
+
+    The options --port, --host, --base-path and --component-path override the config.
+
+  Environment:
+    The variables of .env and .env.<mode> are served to the browser by 'maehem/env', only if their
+    names start with MAEHEM_PUBLIC_ or are listed in env.allow of maehem.config.mjs:
+
+      export default { env: { allow: ['API_URL'] } }
+
+  Exit codes:
+${formatEntries(Object.entries(exitCodeHelp).map(([key, description]) => [String(exitCodes[key]), description]))}
+`
 }
 
-function createFile(filename) {
+/**
+ * Run the maehem binary with the given arguments, printing its output and errors
+ * @param {string[]} argv - The arguments, starting with the command
+ * @returns {Promise<exitCodes>} The exit code
+ */
+export async function run(argv = process.argv.slice(2)) {
+  const [name, ...rest] = argv
   try {
-    fs.closeSync(fs.openSync(filename, 'w'))
+    if (name === '-v' || name === '--version') {
+      console.log(version())
+      return exitCodes.ok
+    }
+    if (name === '-h' || name === '--help' || (name === 'help' && !rest.length)) {
+      console.log(help())
+      return exitCodes.ok
+    }
+    if (!name) throw new CommandError('No command given', exitCodes.usage)
+
+    const commandName = name === 'help' ? rest[0] : name
+    if (!commands[commandName]) {
+      const suggestion = suggest(commandName, Object.keys(commands))
+      throw new CommandError(
+        `Unknown command ${commandName}${suggestion ? `, did you mean ${suggestion}?` : ''}`,
+        exitCodes.usage
+      )
+    }
+
+    const command = commands[commandName]
+    const { positional, options } = parseArgs(name === 'help' ? [] : rest, command)
+    if (name === 'help' || options.help) {
+      console.log(commandHelp(commandName))
+      return exitCodes.ok
+    }
+
+    await command.run(Object.assign(mapArgs(positional, command), options))
+    return exitCodes.ok
   } catch (ex) {
-    console.error(`An error occurred trying to create ${file}`)
+    if (!(ex instanceof CommandError)) {
+      console.error('An unexpected error occurred', ex)
+      return exitCodes.error
+    }
+    console.error(ex.message)
+    if (ex.cause) console.error(ex.cause)
+    if (ex.code === exitCodes.usage) {
+      console.error(`Run 'maehem ${commands[name] ? name + ' ' : ''}--help' for usage`)
+    }
+    return ex.code
   }
 }
+
+// Run as the maehem binary, rather than imported for the programmatic API
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === fs.realpathSync(fileURLToPath(import.meta.url))) {
+  run().then((code) => {
+    if (code) process.exitCode = code
+  })
+}
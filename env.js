@@ -0,0 +1,14 @@
+/**
+ * The public environment of the application, in the style of `import.meta.env`:
+ *
+ *   import env from 'maehem/env'
+ *
+ *   fetch(`${env.MAEHEM_PUBLIC_API_URL}/users`)
+ *
+ * The dev server and `maehem build` replace this module with the variables of the `.env` and `.env.<mode>` files
+ * whose names start with `MAEHEM_PUBLIC_` or are allowed by `env.allow` in `maehem.config.mjs`, along with `MODE`,
+ * `DEV` and `PROD`. Every other variable is kept out of the browser.
+ */
+const env = { MODE: 'production', DEV: false, PROD: true }
+
+export default env
@@ -0,0 +1,286 @@
+/**
+ * An interactive gallery of components, served by `maehem gallery`. Each component is rendered on a stage with a
+ * control for each of its fields, a log of its `change` events, and the stories saved for it.
+ *
+ * Stories are named field values, exported by `<name>.stories.js` next to the component:
+ *
+ *   export default {
+ *     Empty: { count: 0 },
+ *     Large: { count: 1000, label: 'Many' },
+ *   }
+ */
+import Component from './index.js'
+
+/**
+ * A component listed in the gallery
+ * @typedef {Object} GalleryComponent
+ * @property {string} name - The tag name of the component
+ * @property {string} module - The URL of the component module
+ * @property {string|null} stories - The URL of the component's stories module, null if it has none
+ */
+
+/**
+ * The URL stories are saved to by the dev server
+ */
+const storiesEndpoint = '/__maehem/stories'
+
+/**
+ * The kinds of fields that can't be set, left out of the controls and stories
+ */
+const derivedKinds = ['computed', 'resource']
+
+/**
+ * Get the kind of control used to edit the field
+ * @param {import('./index.js').Field} field - The field to edit
+ * @param {any} value - The current value of the field
+ * @returns {'checkbox'|'number'|'json'|'text'}
+ */
+function controlType(field, value) {
+  if (field.type === Boolean || typeof value === 'boolean') return 'checkbox'
+  if (field.type === Number || typeof value === 'number') return 'number'
+  if (field.type === Object || field.type === Array || (value !== null && typeof value === 'object')) return 'json'
+  return 'text'
+}
+
+/**
+ * Format a value for the change log
+ * @param {any} value - The value to format
+ * @returns {string}
+ */
+function format(value) {
+  try {
+    const json = JSON.stringify(value)
+    return json === undefined ? String(value) : json
+  } catch (ex) {
+    return String(value)
+  }
+}
+
+export class Gallery extends Component {
+  static name = 'maehem-gallery'
+
+  static events = {
+    'click .component': 'onSelect',
+    'click .story': 'onSelect',
+    'input .control': 'onControl',
+    'click #save-story': 'onSaveStory',
+    'click #clear-log': 'onClearLog',
+  }
+
+  constructor(defaults = {}, onConnected = null) {
+    super(defaults, onConnected)
+    this._instance = null
+    this._stories = {}
+    /** @type {GalleryComponent|null} */
+    this._current = null
+    this._onChange = (e) => this._logChange(e.detail)
+  }
+
+  fields() {
+    return [{ name: 'components', kind: 'state', default: [] }]
+  }
+
+  async onConnected() {
+    if (this.components.length) await this.show(this.components[0].name)
+  }
+
+  /**
+   * List the components and their stories
+   */
+  render_components() {
+    const nav = this.$ID('components')
+    nav.replaceChildren()
+    for (const component of this.components) {
+      const item = document.createElement('button')
+      item.className = 'component'
+      item.dataset.component = component.name
+      item.textContent = component.name
+      item.toggleAttribute('aria-current', !!this._current && this._current.name === component.name)
+      nav.appendChild(item)
+
+      if (!this._current || this._current.name !== component.name) continue
+      for (const story of Object.keys(this._stories)) {
+        const link = document.createElement('button')
+        link.className = 'story'
+        link.dataset.component = component.name
+        link.dataset.story = story
+        link.textContent = story
+        nav.appendChild(link)
+      }
+    }
+  }
+
+  /**
+   * Render the component on the stage, with the field values of the story
+   * @param {string} name - The name of the component
+   * @param {string|null} story - The name of the story, null to render the component with its defaults
+   */
+  async show(name, story = null) {
+    const component = this.components.find((c) => c.name === name)
+    if (!component) {
+      console.error(`No component ${name} in the gallery`)
+      return
+    }
+
+    const { default: ComponentClass } = await import(component.module)
+    if (!this._current || this._current.name !== name) {
+      this._stories = component.stories ? (await import(component.stories)).default || {} : {}
+    }
+    this._current = component
+    this.render_components()
+
+    if (this._instance) this._instance.removeEventListener('change', this._onChange)
+    this._instance = new ComponentClass(Object.assign({}, story ? this._stories[story] : {}))
+    this._instance.addEventListener('change', this._onChange)
+    this.$ID('stage').replaceChildren(this._instance)
+    this.$ID('log').replaceChildren()
+    this.$ID('story-name').value = story || ''
+    await this._instance._connected
+    this._renderControls()
+  }
+
+  /**
+   * Build a control for each field of the rendered component
+   */
+  _renderControls() {
+    const controls = this.$ID('controls')
+    controls.replaceChildren()
+    for (const field of this._instance.fields()) {
+      const value = this._instance[field.name]
+      const type = controlType(field, value)
+      const label = document.createElement('label')
+      const name = document.createElement('span')
+      name.textContent = `${field.name} (${field.kind || 'state'}${field.required ? ', required' : ''})`
+
+      const control = document.createElement(type === 'json' ? 'textarea' : 'input')
+      control.className = 'control'
+      control.dataset.field = field.name
+      control.dataset.type = type
+      if (type !== 'json') control.setAttribute('type', type)
+      control.disabled = derivedKinds.includes(field.kind)
+      label.append(name, control)
+      controls.appendChild(label)
+      this._setControl(control, value)
+    }
+  }
+
+  /**
+   * Show the value in the control
+   * @param {any} control - The control of the field
+   * @param {any} value - The value to show
+   */
+  _setControl(control, value) {
+    if (control.dataset.type === 'checkbox') {
+      control.checked = !!value
+    } else if (control.dataset.type === 'json') {
+      control.value = value === undefined ? '' : JSON.stringify(value, null, 2)
+      control.removeAttribute('aria-invalid')
+    } else {
+      control.value = value === null || value === undefined ? '' : value
+    }
+  }
+
+  /**
+   * Add the change to the log and show the new value in its control
+   * @param {{prop: string, oldValue: any, newValue: any}} detail - The detail of the `change` event
+   */
+  _logChange({ prop, oldValue, newValue }) {
+    const entry = document.createElement('li')
+    entry.textContent = `${prop}: ${format(oldValue)} → ${format(newValue)}`
+    this.$ID('log').prepend(entry)
+
+    const control = this.$(`.control[data-field="${prop}"]`)
+    if (control && this.el.activeElement !== control) this._setControl(control, newValue)
+  }
+
+  async onSelect(e, target) {
+    await this.show(target.dataset.component, target.dataset.story || null)
+  }
+
+  /**
+   * Set the field edited by the control on the rendered component
+   */
+  async onControl(e, control) {
+    const setter = this._instance && this._instance['set_' + control.dataset.field]
+    if (!setter) return
+
+    let value = control.value
+    if (control.dataset.type === 'checkbox') {
+      value = control.checked
+    } else if (control.dataset.type === 'number') {
+      if (value === '') return
+      value = Number(value)
+    } else if (control.dataset.type === 'json') {
+      try {
+        value = JSON.parse(value)
+        control.removeAttribute('aria-invalid')
+      } catch (ex) {
+        control.setAttribute('aria-invalid', 'true')
+        return
+      }
+    }
+    await setter.call(this._instance, value)
+  }
+
+  /**
+   * Save the current field values of the rendered component as a story, written to its stories file by the dev server
+   */
+  async onSaveStory() {
+    const name = this.$ID('story-name').value.trim()
+    if (!this._instance || !name) return
+
+    const values = {}
+    for (const field of this._instance.fields()) {
+      if (!derivedKinds.includes(field.kind)) values[field.name] = this._instance[field.name]
+    }
+    this._stories = Object.assign({}, this._stories, { [name]: values })
+    this.render_components()
+
+    try {
+      const resp = await fetch(storiesEndpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ component: this._current.name, stories: this._stories }),
+      })
+      if (!resp.ok) throw new Error(`${resp.status} ${resp.statusText}`)
+    } catch (ex) {
+      console.error(`An error occurred saving story ${name} for component ${this._current.name}`, ex)
+    }
+  }
+
+  onClearLog() {
+    this.$ID('log').replaceChildren()
+  }
+}
+
+Component.inline(Gallery.name, {
+  view: `<nav id="components" part="components"></nav>
+<main>
+  <div id="stage" part="stage"></div>
+  <aside>
+    <section id="controls" part="controls"></section>
+    <section>
+      <input id="story-name" placeholder="Story name" />
+      <button id="save-story">Save story</button>
+    </section>
+    <section>
+      <header>Changes <button id="clear-log">Clear</button></header>
+      <ol id="log" part="log"></ol>
+    </section>
+  </aside>
+</main>`,
+  style: `:host { display: flex; min-height: 100vh; font-family: sans-serif; }
+nav { display: flex; flex-direction: column; min-width: 12em; padding: 1em; border-right: 1px solid #ddd; }
+nav button { all: unset; cursor: pointer; padding: 0.25em 0; }
+nav .story { padding-left: 1em; font-size: 0.9em; }
+nav [aria-current] { font-weight: bold; }
+main { display: flex; flex: 1; }
+#stage { flex: 1; padding: 1em; }
+aside { width: 22em; padding: 1em; border-left: 1px solid #ddd; overflow: auto; }
+label { display: flex; flex-direction: column; margin-bottom: 0.75em; }
+textarea { min-height: 5em; font-family: monospace; }
+[aria-invalid] { outline: 2px solid #c00; }
+#log { font-family: monospace; font-size: 0.85em; padding-left: 1.5em; }`,
+})
+
+Gallery.define()
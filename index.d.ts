@@ -1,6 +1,33 @@
 declare module 'maehem' {
   export default Component
-  interface Configuration {
+
+  export class ViewLoadError extends Error {
+    constructor(component: string, url: string, cause: any)
+    component: string
+    url: string
+    cause: any
+  }
+
+  export class RequiredFieldError extends Error {
+    constructor(field: string, component: string)
+    field: string
+    component: string
+  }
+
+  export class BuilderMismatchError extends Error {
+    constructor(builders: number, children: number, node: string)
+    builders: number
+    children: number
+    node: string
+  }
+
+  type ErrorPhase = 'view' | 'initialize' | 'connected' | 'update'
+  export interface Configuration {
+    componentPath?: string
+    verbose?: boolean
+    themes?: { [name: string]: { [prop: string]: string } }
+    theme?: string | { [prop: string]: string }
+    store?: Store
     [key: string]: any
   }
 
@@ -11,23 +38,95 @@ declare module 'maehem' {
   enum FieldKind {
     State = 'state',
     Attr = 'attr',
+    Store = 'store',
+    Context = 'context',
+    Computed = 'computed',
+    Resource = 'resource',
+  }
+
+  export interface AttributeConverter {
+    fromAttribute?(value: string | null, type: FieldType): any
+    toAttribute?(value: any, type: FieldType): string | null
   }
 
-  interface Field {
+  export type FieldType =
+    | BooleanConstructor
+    | NumberConstructor
+    | StringConstructor
+    | ObjectConstructor
+    | ArrayConstructor
+    | DateConstructor
+    | AttributeConverter
+
+  export interface Field {
     name: string
-    kind: FieldKind
+    kind: FieldKind | 'state' | 'attr' | 'store' | 'context' | 'computed' | 'resource'
     default?: any
     required?: boolean
+    type?: FieldType
+    reflect?: boolean
+    path?: string
+    store?: Store
+    key?: any
+    get?: (self: Component) => any
+    load?: (self: Component, signal: AbortSignal) => Promise<any>
+    deps?: string[]
+    cache?: boolean | number
+    dedupe?: boolean
+    persist?: 'local' | 'session' | 'query'
+    version?: number
+    migrate?: (value: any, version: number) => any
+    pattern?: RegExp | string
+    min?: any
+    max?: any
+    validators?: FieldValidator[]
+    messages?: { required?: string; pattern?: string; min?: string; max?: string }
+  }
+
+  export interface ResourceState<T = any> {
+    loading: boolean
+    error: Error | null
+    data: T | undefined
   }
 
+  export type FieldValidator = (
+    value: any,
+    self: Component
+  ) => string | null | undefined | Promise<string | null | undefined>
+
+  type Store = import('maehem/store').Store
+
   type onConnected = (self: Component) => void
 
+  type EventHandler = (e: Event, target: EventTarget) => void
+
+  interface EventEntry {
+    handler: string | EventHandler
+    global?: boolean
+    once?: boolean
+    passive?: boolean
+    capture?: boolean
+  }
+
+  interface DelegatedListener {
+    target: EventTarget
+    type: string
+    listener: (e: Event) => void
+    options: AddEventListenerOptions
+  }
+
   interface ExtendedTemplate extends HTMLTemplateElement {
     $(sel: string): HTMLElement
     $$(sel: string): HTMLElement[]
     $ID(id: string): HTMLElement
     $build(builder: any, append: boolean): HTMLElement
     $$build(builder: any, append: boolean): HTMLElement[]
+    $list<T>(
+      items: T[],
+      keyFn: (item: T, idx: number) => any,
+      templateId: string,
+      updateFn?: (node: ExtendedNode, item: T, idx: number) => void
+    ): Map<T, ExtendedNode>
   }
 
   interface ExtendedNode extends HTMLElement {
@@ -36,27 +135,121 @@ declare module 'maehem' {
     $ID(id: string): HTMLElement
     $build(builder: any, append: boolean): HTMLElement
     $$build(builder: any, append: boolean): HTMLElement[]
+    $list<T>(
+      items: T[],
+      keyFn: (item: T, idx: number) => any,
+      templateId: string,
+      updateFn?: (node: ExtendedNode, item: T, idx: number) => void
+    ): Map<T, ExtendedNode>
+  }
+
+  interface BoundView {
+    host: Component
+    locals: State
+    fragment: DocumentFragment | null
+    update(changed?: Map<string, any> | Set<string> | null): void
   }
 
   class Component extends HTMLElement {
     static define(): void
     static configure(conf: Configuration): void
+    static inline(name: string, assets: { view?: string; style?: string }): void
+    static invalidate(name: string): void
+    static clearResources(): void
+    static hotUpdate(name: string, asset: 'view' | 'style'): Promise<void>
     static get observedAttributes(): string[]
+    static styles: (string | CSSStyleSheet)[]
+    static shadow: false | { mode?: 'open' | 'closed'; delegatesFocus?: boolean }
+    static formAssociated: boolean
+    static formField: string
+    static events: { [key: string]: string | EventHandler | EventEntry }
     noView: boolean
     constructor(defaults?: State, onConnected?: onConnected)
     _defaults: State
     _attrs: State
     _state: State
+    _reflecting: string | null
+    _restoring: string | null
+    _slotted: Node[]
+    _rendered: Set<Node>
+    _changedFields: Map<string, any>
+    _updatePending: boolean
+    _updatePromise: Promise<void>
+    _subscriptions: (() => void)[]
+    _delegated: DelegatedListener[]
+    _connected: Promise<void> | null
+    _initialization: Promise<void> | null
+    _hasConnected: boolean
+    _disconnected: Promise<void> | null
+    _lifecycle: AbortController | null
+    get lifecycleSignal(): AbortSignal
+    _computed: Map<
+      string,
+      {
+        get: (self: Component) => any
+        value: any
+        deps: Set<string>
+        dirty: boolean
+        failed: boolean
+        computing: boolean
+      }
+    >
+    _resources: Map<string, { field: Field; controller: AbortController | null }>
+    _watchers: { names: string[]; fn: (values: any[], oldValues: any[]) => any }[]
+    _provided: Map<any, { value: any; callbacks: Map<Function, () => void> }>
+    _internals: ElementInternals | null
+    _formDefault: any
+    _validation: number
+    get updateComplete(): Promise<boolean>
     _onConnected: onConnected
+    _error: Error | null
+    _view: BoundView
     attributeChangedCallback(name: string, oldValue: any, newValue: any): void
     connectedCallback(): Promise<void>
-    disconnectedCallback(): void
+    _connect(): Promise<void>
+    _reconnect(): void
+    _teardown(): void
+    onFirstConnected(): Promise<void>
+    onConnected(): Promise<void>
+    disconnectedCallback(): Promise<void>
+    onDisconnected(): Promise<void>
+    adoptedCallback(oldDocument: Document, newDocument: Document): Promise<void>
+    onAdopted(oldDocument: Document, newDocument: Document): Promise<void>
+    _runHook(previous: Promise<void> | null, phase: string, hook: () => Promise<void>): Promise<void>
+    onError(err: Error, phase: ErrorPhase): Promise<void>
+    retry(): Promise<void>
+    _handleError(err: Error, phase: ErrorPhase): Promise<void>
+    _showFallback(id: 'loading' | 'error', err?: Error | null): boolean
     hotReplacedCallback(): void
+    _rerender(): Promise<void>
     fields(): Field[]
     _getDefault(def: any): Promise<any>
     _initField(field: Field): Promise<void>
+    _reflectField(field: Field, value: any): void
+    _initComputed(field: Field): void
+    _initResource(field: Field): void
+    _loadResource(name: string, force?: boolean): Promise<void>
+    _setResource(name: string, changes: Partial<ResourceState>): void
+    refetch(name: string): Promise<void>
+    watch(
+      names: string | string[],
+      fn: (values: any[], oldValues: any[]) => any,
+      options?: { immediate?: boolean }
+    ): () => void
+    _subscribeField(field: Field): void
+    _persistKey(field: Field): string
+    _syncPersisted(field: Field): () => void
+    _requestContext(key: any): any
+    provide(key: any, value: any): void
+    _onContextRequest(e: Event): void
+    _consumeContext(key: any, callback: (value: any) => void): () => void
     isDebug(): boolean
     _initialize(): Promise<void>
+    _createRoot(): ShadowRoot | HTMLElement
+    _collectSlotted(): void
+    _distributeSlots(): void
+    _onSlotChange(e: Event, slot: HTMLSlotElement): void
+    $slot(name?: string): Element[]
     set el(arg: HTMLElement)
     get el(): HTMLElement
     _el: HTMLElement
@@ -67,11 +260,263 @@ declare module 'maehem' {
     $dispatch(event: string, obj: any): void
     $mount(selector: string): void
     _renderField(name: string): Promise<any>
+    shouldUpdate(changedFields: Map<string, any>): boolean
+    _requestUpdate(name: string, oldValue: any): Promise<void>
+    _performUpdate(previous: Promise<void>): Promise<void>
     _setField(name: string, value: any): Promise<void>
+    _isFormField(name: string): boolean
+    _syncForm(field: Field): Promise<void>
+    _validateField(field: Field, value: any): Promise<{ flag: string; message: string } | null>
+    formResetCallback(): Promise<void>
+    formStateRestoreCallback(state: any): Promise<void>
+    get form(): HTMLFormElement | null
+    get validity(): ValidityState | null
+    get validationMessage(): string
+    checkValidity(): boolean
+    reportValidity(): boolean
     _renderFields(): Promise<void>
     _getView(): Promise<string>
     _bindEvents(): void
     _wireEvents(detach?: boolean): void
+    _delegateEvents(): void
+    _undelegateEvents(only?: DelegatedListener | null): void
+    _getTemplate(): Promise<any>
+    _getStyle(): Promise<string>
+    _adoptStyles(name: string): Promise<string>
+    _hydrateView(): Promise<void>
     renderView(): Promise<void>
   }
 }
+
+declare module 'maehem/ssr' {
+  export function installShim(): void
+  export function render(modulePath: string, attrs?: { [key: string]: string }): Promise<string>
+  export function serialize(node: Node): string
+}
+
+declare module 'maehem/store' {
+  type StoreListener = (value: any, oldValue: any) => void
+
+  interface Store {
+    get(path?: string): any
+    set(path: string, value: any): void
+    set(patch: { [key: string]: any }): void
+    set(updater: (state: any) => any): void
+    subscribe(pathOrSelector: string | ((state: any) => any), listener: StoreListener): () => void
+    select<T>(selector: (state: any) => T): T
+    batch<T>(fn: () => T): T
+  }
+
+  export function createStore(initial?: { [key: string]: any }): Store
+}
+
+declare module 'maehem/router' {
+  import Component from 'maehem'
+
+  interface RouteContext {
+    path: string
+    query: { [key: string]: string }
+    params: { [key: string]: string }
+    matches: RouteMatch[]
+  }
+
+  interface RouteMatch {
+    route: Route
+    params: { [key: string]: string }
+  }
+
+  interface Route {
+    path: string
+    component?: string
+    load?: () => Promise<any>
+    redirect?: string | ((to: RouteContext) => string)
+    guard?: (to: RouteContext, from: RouteContext | null) => boolean | string | Promise<boolean | string>
+    children?: Route[]
+  }
+
+  interface RouterConfiguration {
+    routes: Route[]
+    mode?: 'history' | 'hash'
+    base?: string
+  }
+
+  export class Router {
+    static configure(conf: RouterConfiguration): Promise<boolean>
+    static get current(): RouteContext | null
+    static href(url: string): string
+    static navigate(url: string, options?: { replace?: boolean }): Promise<boolean>
+  }
+
+  export class RouterOutlet extends Component {
+    get depth(): number
+    renderRoute(): void
+  }
+
+  export class RouterLink extends Component {
+    href: string
+    onClick(e: MouseEvent): void
+  }
+}
+
+declare module 'maehem/boundary' {
+  import Component from 'maehem'
+
+  export class Boundary extends Component {
+    _failed: Set<Component>
+    _lastError: Error | null
+    _onChildError(e: CustomEvent): void
+    _renderError(): void
+    onRetry(): Promise<void>
+  }
+}
+
+declare module 'maehem/testing' {
+  interface EventSpy {
+    events: CustomEvent[]
+    readonly calls: any[]
+    readonly count: number
+    readonly last: any
+    stop(): void
+  }
+
+  type FetchFallback = (url: string, init?: RequestInit) => Promise<any>
+
+  export function registerView(name: string, files?: { view?: string; style?: string }): void
+  export function clearViews(): void
+  export function installFetch(fallback?: FetchFallback | null): () => void
+  export function fixture<T extends HTMLElement = any>(
+    component: (new (...args: any[]) => T) | string,
+    attrs?: { [key: string]: string },
+    options?: { defaults?: { [key: string]: any }; children?: string }
+  ): Promise<T>
+  export function cleanup(): void
+  export function setFields<T extends HTMLElement>(el: T, values: { [key: string]: any }): Promise<T>
+  export function nextRender(el: HTMLElement): Promise<boolean>
+  export function spyEvent(el: EventTarget, type: string): EventSpy
+  export function query(root: Node, selector: string): Element | null
+  export function queryAll(root: Node, selector: string): Element[]
+}
+
+declare module 'maehem/gallery' {
+  import Component from 'maehem'
+
+  interface GalleryComponent {
+    name: string
+    module: string
+    stories: string | null
+  }
+
+  export class Gallery extends Component {
+    components: GalleryComponent[]
+    _instance: Component | null
+    _stories: { [story: string]: { [field: string]: any } }
+    _current: GalleryComponent | null
+    _onChange: (e: CustomEvent) => void
+    render_components(): void
+    show(name: string, story?: string | null): Promise<void>
+    _renderControls(): void
+    _setControl(control: HTMLInputElement | HTMLTextAreaElement, value: any): void
+    _logChange(detail: { prop: string; oldValue: any; newValue: any }): void
+    onSelect(e: Event, target: HTMLElement): Promise<void>
+    onControl(e: Event, control: HTMLInputElement | HTMLTextAreaElement): Promise<void>
+    onSaveStory(): Promise<void>
+    onClearLog(): void
+  }
+}
+
+declare module 'maehem/env' {
+  interface Env {
+    MODE: string
+    DEV: boolean
+    PROD: boolean
+    [key: string]: string | boolean
+  }
+
+  const env: Env
+  export default env
+}
+
+declare module 'maehem/cli' {
+  export enum exitCodes {
+    ok = 0,
+    error = 1,
+    usage = 2,
+    exists = 3,
+    invalid = 4,
+    notFound = 5,
+    failed = 6,
+  }
+
+  export class CommandError extends Error {
+    constructor(message: string, code?: exitCodes, cause?: any)
+    code: exitCodes
+    cause: any
+  }
+
+  export interface ConfigOptions {
+    config?: string
+    componentPath?: string
+  }
+
+  export interface ServerOptions {
+    port?: number
+    host?: string
+    basePath?: string
+    mode?: string
+    open?: boolean
+  }
+
+  export interface NewOptions extends ConfigOptions {
+    path?: string
+    name: string
+    ts?: boolean
+    template?: string
+    fields?: string
+  }
+
+  export interface PreviewOptions extends ConfigOptions, ServerOptions {
+    path?: string
+    name: string
+    attrs?: { [name: string]: string } | string[]
+  }
+
+  export interface GalleryOptions extends ConfigOptions, ServerOptions {
+    path?: string
+  }
+
+  export interface ServeOptions extends ConfigOptions, ServerOptions {
+    index: string
+  }
+
+  export interface RenderOptions extends ConfigOptions {
+    path?: string
+    name: string
+    attrs?: { [name: string]: string } | string[]
+  }
+
+  export interface BuildOptions extends ConfigOptions {
+    src?: string
+    out: string
+    mode?: string
+  }
+
+  export interface TestOptions extends ConfigOptions {
+    path?: string
+  }
+
+  export interface ManifestEntry {
+    file: string
+    imports: string[]
+    view: boolean
+    style: boolean
+  }
+
+  export function makeComponent(options: NewOptions): Promise<string>
+  export function previewComponent(options: PreviewOptions): Promise<any>
+  export function gallery(options?: GalleryOptions): Promise<any>
+  export function serve(options: ServeOptions): Promise<any>
+  export function renderComponent(options: RenderOptions): Promise<string>
+  export function buildComponents(options: BuildOptions): Promise<{ [name: string]: ManifestEntry }>
+  export function runTests(options?: TestOptions): Promise<string[]>
+  export function run(argv?: string[]): Promise<exitCodes>
+}
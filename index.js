@@ -1,8 +1,58 @@
+import { compile, BoundView } from './template.js'
+
 /**
  * @type {Object.<string, string|Promise>} views - the views loaded from the components index.html
  */
 const views = {}
 
+/**
+ * @type {Object.<string, import('./template.js').CompiledTemplate>} templates - the views compiled for their bindings
+ */
+const templates = {}
+
+/**
+ * @type {Object.<string, string|Promise>} styles - the styles loaded from the components css, or inlined by `maehem build`
+ */
+const styles = {}
+
+/**
+ * @type {Object.<string, CSSStyleSheet>} sheets - the stylesheet for each component, shared by all of its instances
+ */
+const sheets = {}
+
+/**
+ * @type {Object.<string, Set<Component>>} instances - the connected instances of each component, updated by hot reloads
+ */
+const instances = {}
+
+/**
+ * @type {Object.<string, {sheet: CSSStyleSheet|null, css: string}>} globalStyles - the styles of each light DOM
+ * component, added to the document once for all of its instances
+ */
+const globalStyles = {}
+
+/**
+ * @type {Map<string, CSSStyleSheet>} sharedSheets - the stylesheets created from `static styles` strings
+ */
+const sharedSheets = new Map()
+
+/**
+ * @type {Map<string, {data: any, time: number}>} resourceCache - the data loaded by 'resource' fields with `cache`,
+ * keyed by component, field and dependency values
+ */
+const resourceCache = new Map()
+
+/**
+ * @type {Map<string, {promise: Promise<any>, controller: AbortController, users: number}>} sharedLoads - the loads
+ * in flight of 'resource' fields with `cache` or `dedupe`, shared by the instances loading the same key
+ */
+const sharedLoads = new Map()
+
+/**
+ * @type {CSSStyleSheet|HTMLStyleElement|null} themeSheet - the document stylesheet publishing the theme's custom properties
+ */
+let themeSheet = null
+
 /**
  * @typedef {Object} NodeExtension
  * @property {function} $ - alias for this.querySelector
@@ -10,6 +60,7 @@ const views = {}
  * @property {function} $ID - alias for this.querySelector with # prepended to sel
  * @property {function} $build - Used to build a new element
  * @property {function} $$build - Used to build a set of new elements
+ * @property {function} $list - Used to build a keyed list of elements, reusing existing elements by key
  */
 
 /**
@@ -24,9 +75,46 @@ const views = {}
  * The type defined for each attribute/state in the Comopnent
  * @typedef {Object} Field
  * @property {string} name - The name of the field
- * @property {fieldKind|undefined} kind - Either 'attr' or 'state'. Defaults to 'state'
+ * @property {fieldKind|undefined} kind - Either 'attr', 'state', 'store', 'context', 'computed' or 'resource'. Defaults to 'state'
  * @property {any|undefined} default - the default value for the field
  * @property {boolean|undefined} required - True if this is a required attribute
+ * @property {fieldType|undefined} type - The type used to parse the attribute value and serialize it back. Defaults to String
+ * @property {boolean|undefined} reflect - False to stop writing the value back to the attribute. Defaults to true
+ * @property {string|undefined} path - The dotted path of the value in the store for 'store' fields
+ * @property {import('./store.js').Store|undefined} store - The store for 'store' fields. Defaults to the configured store
+ * @property {any} key - The key of the context for 'context' fields, provided by the nearest ancestor with `provide(key, value)`. For persisted fields, the storage key or query parameter, defaults to `<component>.<name>` in storage and `<name>` in the query
+ * @property {function(Component): any} get - Derives the value of 'computed' fields from the other fields it reads
+ * @property {function(Component, AbortSignal): Promise<any>} load - Loads the data of 'resource' fields
+ * @property {string[]|undefined} deps - The fields whose changes load 'resource' fields again, passed to `load` through the component
+ * @property {boolean|number|undefined} cache - True to cache the data of 'resource' fields across instances, or the number of milliseconds to cache it for
+ * @property {boolean|undefined} dedupe - True to share the loads in flight of 'resource' fields across instances
+ * @property {'local'|'session'|'query'|undefined} persist - Where 'state' and 'attr' fields are persisted: localStorage, sessionStorage or the URL query
+ * @property {number|undefined} version - The version of the persisted value, stored with it in localStorage and sessionStorage. Defaults to 0
+ * @property {function(any, number): any} migrate - Migrates a value persisted with another version, which is dropped without it
+ * @property {RegExp|string|undefined} pattern - The pattern the form value must match, strings must match in full
+ * @property {any|undefined} min - The smallest allowed form value
+ * @property {any|undefined} max - The largest allowed form value
+ * @property {fieldValidator[]|undefined} validators - Custom validators for the form value
+ * @property {Object.<string, string>|undefined} messages - Validation messages replacing the defaults, keyed by 'required', 'pattern', 'min' or 'max'
+ */
+
+/**
+ * Custom validator for the form value of a form associated component
+ * @callback fieldValidator
+ * @param {any} value - The value to validate
+ * @param {Component} self - The component being validated
+ * @returns {string|null|Promise<string|null>} The validation message, or nothing if the value is valid
+ */
+
+/**
+ * A custom converter between attribute strings and field values
+ * @typedef {Object} AttributeConverter
+ * @property {function(string|null, fieldType): any} [fromAttribute] - Parse the attribute string into the field value
+ * @property {function(any, fieldType): string|null} [toAttribute] - Serialize the field value to a string, null removes the attribute
+ */
+
+/**
+ * @typedef {BooleanConstructor|NumberConstructor|StringConstructor|ObjectConstructor|ArrayConstructor|DateConstructor|AttributeConverter} fieldType
  */
 
 /**
@@ -34,6 +122,17 @@ const views = {}
  * @typedef {Object} Configuration
  * @property {string} componentPath - The prefix of the URL where the components exist
  * @property {boolean} verbose - True to display verbose log messages
+ * @property {Object.<string, Object.<string, string>>} themes - The named themes that can be set as the theme
+ * @property {string|Object.<string, string>} theme - The name of a theme, or the CSS custom properties to publish
+ * @property {import('./store.js').Store|null} store - The store used by 'store' fields that don't name their own
+ */
+
+/**
+ * The value of a 'resource' field
+ * @typedef {Object} ResourceState
+ * @property {boolean} loading - True while the data is loading
+ * @property {Error|null} error - The error the last load failed with
+ * @property {any} data - The data of the last successful load, kept while loading again
  */
 
 /**
@@ -43,6 +142,39 @@ const views = {}
  * @returns {void}
  */
 
+/**
+ * Events that don't bubble, so they are delegated in the capture phase
+ */
+const nonBubblingEvents = new Set([
+  'focus',
+  'blur',
+  'mouseenter',
+  'mouseleave',
+  'pointerenter',
+  'pointerleave',
+  'load',
+  'error',
+  'scroll',
+])
+
+/**
+ * Function called for an event matched by an entry of `static events`
+ * @callback eventHandler
+ * @param {Event} e - The event
+ * @param {EventTarget} target - The element matched by the entry's selector, or the element listened on
+ * @returns {void}
+ */
+
+/**
+ * An entry of `static events` with listener options
+ * @typedef {Object} EventEntry
+ * @property {string|eventHandler} handler - The handler, or the name of the component method to call
+ * @property {boolean|undefined} global - True to delegate from `document` instead of the shadow root
+ * @property {boolean|undefined} once - True to remove the handler after its first matched event
+ * @property {boolean|undefined} passive - Passed to `addEventListener`
+ * @property {boolean|undefined} capture - Passed to `addEventListener`, defaults to true for events that don't bubble
+ */
+
 /**
  * The global configuration object
  * @type {Configuration} config
@@ -50,6 +182,61 @@ const views = {}
 const config = {
   componentPath: '',
   verbose: false,
+  themes: {},
+  theme: null,
+  store: null,
+}
+
+/**
+ * Thrown when the view for a component can't be downloaded
+ */
+export class ViewLoadError extends Error {
+  /**
+   * @param {string} component - The name of the component
+   * @param {string} url - The URL of the view
+   * @param {any} cause - The failed response status or the error thrown fetching the view
+   */
+  constructor(component, url, cause) {
+    super(`Unable to load view ${url} for component ${component}`)
+    this.name = 'ViewLoadError'
+    this.component = component
+    this.url = url
+    this.cause = cause
+  }
+}
+
+/**
+ * Thrown when a required field has no value once the component is initialized
+ */
+export class RequiredFieldError extends Error {
+  /**
+   * @param {string} field - The name of the field
+   * @param {string} component - The name of the component
+   */
+  constructor(field, component) {
+    super(`${field} is required for component ${component}`)
+    this.name = 'RequiredFieldError'
+    this.field = field
+    this.component = component
+  }
+}
+
+/**
+ * Thrown when the number of builders passed to `$$build` doesn't match the number of children
+ */
+export class BuilderMismatchError extends Error {
+  /**
+   * @param {number} builders - The number of builders
+   * @param {number} children - The number of children
+   * @param {string} node - The id of the node/template being built
+   */
+  constructor(builders, children, node) {
+    super(`Number of template builders ${builders} doesn't match children ${children} for node/template ${node}`)
+    this.name = 'BuilderMismatchError'
+    this.builders = builders
+    this.children = children
+    this.node = node
+  }
 }
 
 /**
@@ -63,6 +250,93 @@ function getPath(name) {
   return name.toLowerCase()
 }
 
+/**
+ * Get the stylesheet for the given style, creating it once for each style text
+ * @param {string|CSSStyleSheet} style - The style text or stylesheet
+ * @returns {CSSStyleSheet}
+ */
+function toSheet(style) {
+  if (typeof style !== 'string') return style
+  if (!sharedSheets.has(style)) {
+    const sheet = new CSSStyleSheet()
+    sheet.replaceSync(style)
+    sharedSheets.set(style, sheet)
+  }
+  return sharedSheets.get(style)
+}
+
+/**
+ * Get the text for the given style
+ * @param {string|CSSStyleSheet} style - The style text or stylesheet
+ * @returns {string}
+ */
+function toCssText(style) {
+  if (typeof style === 'string') return style
+  return Array.from(style.cssRules)
+    .map((rule) => rule.cssText)
+    .join('\n')
+}
+
+/**
+ * Add the styles of a light DOM component to the document, where they apply to the whole page, once for all of its
+ * instances. Where stylesheets can't be adopted, they're added to the head as a `<style>`.
+ * @param {string} name - The name of the component
+ * @param {Array<string|CSSStyleSheet>} componentStyles - The shared styles and the component's style
+ */
+function addGlobalStyles(name, componentStyles) {
+  const css = componentStyles.map(toCssText).join('\n')
+  if ('adoptedStyleSheets' in document) {
+    const entry = globalStyles[name] || { sheet: new CSSStyleSheet(), css: null }
+    if (entry.css !== css) entry.sheet.replaceSync(css)
+    if (!document.adoptedStyleSheets.includes(entry.sheet)) {
+      document.adoptedStyleSheets = [...document.adoptedStyleSheets, entry.sheet]
+    }
+    globalStyles[name] = { sheet: entry.sheet, css }
+    return
+  }
+
+  let style = document.head.querySelector(`style[m-style="${name}"]`)
+  if (!style) {
+    style = document.createElement('style')
+    style.setAttribute('m-style', name)
+    document.head.appendChild(style)
+  }
+  if (style.textContent !== css) style.textContent = css
+}
+
+/**
+ * Publish the theme's CSS custom properties on the document, where every component inherits them
+ * @param {string|Object.<string, string>} theme - The name of a configured theme, or the custom properties
+ */
+function applyTheme(theme) {
+  const props = typeof theme === 'string' ? config.themes[theme] : theme
+  if (!props) {
+    console.error(`No theme found named ${theme}`)
+    return
+  }
+
+  const declarations = Object.entries(props).map(([key, value]) => {
+    const prop = key.startsWith('--') ? key : '--' + key.replace(/[A-Z]/g, (c) => '-' + c.toLowerCase())
+    return `  ${prop}: ${value};`
+  })
+  const css = `:root {\n${declarations.join('\n')}\n}`
+
+  if ('adoptedStyleSheets' in document) {
+    if (!themeSheet) {
+      themeSheet = new CSSStyleSheet()
+      document.adoptedStyleSheets = [...document.adoptedStyleSheets, themeSheet]
+    }
+    /** @type {any} */ const sheet = themeSheet
+    sheet.replaceSync(css)
+  } else {
+    if (!themeSheet) {
+      themeSheet = document.createElement('style')
+      document.head.appendChild(themeSheet)
+    }
+    themeSheet.textContent = css
+  }
+}
+
 /**
  * @readonly
  * @enum {string}
@@ -70,6 +344,231 @@ function getPath(name) {
 const fieldKind = {
   state: 'state',
   attr: 'attr',
+  store: 'store',
+  context: 'context',
+  computed: 'computed',
+  resource: 'resource',
+}
+
+/**
+ * @type {{component: Component, deps: Set<string>}|null} tracking - the computed field being evaluated, which records
+ * the fields of its component it reads as its dependencies
+ */
+let tracking = null
+
+/**
+ * Record the field as a dependency of the computed field being evaluated, if it belongs to the same component
+ * @param {Component} component - The component the field belongs to
+ * @param {string} name - The name of the field read
+ */
+function track(component, name) {
+  if (tracking && tracking.component === component) tracking.deps.add(name)
+}
+
+/**
+ * Parse the attribute string into a field value of the given type
+ * @param {string|null} value - The attribute value
+ * @param {fieldType} type - The type of the field
+ * @returns {any} The parsed value
+ */
+function fromAttribute(value, type) {
+  if (type && typeof type.fromAttribute === 'function') return type.fromAttribute(value, type)
+  if (type === Boolean) return value !== null && value !== 'false'
+  if (value === null) return null
+  switch (type) {
+    case Number:
+      return Number(value)
+    case Date:
+      return new Date(value)
+    case Object:
+    case Array:
+      try {
+        return JSON.parse(value)
+      } catch (ex) {
+        console.error(`Unable to parse attribute value ${value} as JSON`, ex)
+        return null
+      }
+    default:
+      return value
+  }
+}
+
+/**
+ * Serialize the field value of the given type into an attribute string
+ * @param {any} value - The field value
+ * @param {fieldType} type - The type of the field
+ * @returns {string|null} The attribute value, null if the attribute should be removed
+ */
+function toAttribute(value, type) {
+  if (type && typeof type.toAttribute === 'function') return type.toAttribute(value, type)
+  if (type === Boolean) return value ? '' : null
+  if (value === null || value === undefined) return null
+  if (value instanceof Date) return value.toISOString()
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
+
+/**
+ * Check whether the node is the loading or error fallback of a component
+ * @param {any} node - The child node of the component
+ * @returns {boolean}
+ */
+function isFallback(node) {
+  return node.localName === 'template' && (node.id === 'loading' || node.id === 'error')
+}
+
+/**
+ * Serialize the field value to persist it, with the converter of its type or as JSON for fields without a type
+ * @param {any} value - The field value
+ * @param {Field} field - The persisted field
+ * @returns {string|null} The persisted text, null if nothing should be persisted
+ */
+function serializeField(value, field) {
+  if (value === null || value === undefined) return null
+  if (field.type === Boolean) return String(!!value)
+  return field.type ? toAttribute(value, field.type) : JSON.stringify(value)
+}
+
+/**
+ * Parse the persisted text back into the field value
+ * @param {string} text - The persisted text
+ * @param {Field} field - The persisted field
+ * @returns {any} The field value
+ */
+function deserializeField(text, field) {
+  return field.type ? fromAttribute(text, field.type) : JSON.parse(text)
+}
+
+/**
+ * Get the storage of a field persisted to localStorage or sessionStorage
+ * @param {Field} field - The persisted field
+ * @returns {Storage|null} Null where there is no storage, like when rendering on the server
+ */
+function storageOf(field) {
+  if (typeof window === 'undefined') return null
+  return (field.persist === 'local' ? window.localStorage : window.sessionStorage) || null
+}
+
+/**
+ * Read the persisted value of the field, migrating it if it was persisted with another version
+ * @param {Field} field - The persisted field
+ * @param {string} key - The storage key or query parameter
+ * @returns {any} The persisted value, undefined if nothing valid is persisted
+ */
+function readPersisted(field, key) {
+  try {
+    if (field.persist === 'query') {
+      const text = new URLSearchParams(window.location.search).get(key)
+      return text === null ? undefined : deserializeField(text, field)
+    }
+
+    const storage = storageOf(field)
+    const stored = storage && storage.getItem(key)
+    if (!stored) return undefined
+    const { version, value } = JSON.parse(stored)
+    if (version === (field.version || 0)) return deserializeField(value, field)
+    return field.migrate ? field.migrate(deserializeField(value, field), version) : undefined
+  } catch (ex) {
+    console.error(`Unable to restore field ${field.name} from ${key}`, ex)
+    return undefined
+  }
+}
+
+/**
+ * Persist the field value, replacing the current URL for fields persisted to the query
+ * @param {Field} field - The persisted field
+ * @param {string} key - The storage key or query parameter
+ * @param {any} value - The value to persist
+ */
+function writePersisted(field, key, value) {
+  const text = serializeField(value, field)
+  try {
+    if (field.persist === 'query') {
+      const url = new URL(window.location.href)
+      text === null ? url.searchParams.delete(key) : url.searchParams.set(key, text)
+      if (url.href !== window.location.href) window.history.replaceState(window.history.state, '', url.href)
+      return
+    }
+
+    const storage = storageOf(field)
+    if (!storage) return
+    if (text === null) {
+      storage.removeItem(key)
+    } else {
+      storage.setItem(key, JSON.stringify({ version: field.version || 0, value: text }))
+    }
+  } catch (ex) {
+    console.error(`Unable to persist field ${field.name} to ${key}`, ex)
+  }
+}
+
+/**
+ * @type {Map<any, Set<function(): boolean>>} pendingContexts - the context requests no provider has answered yet,
+ * keyed by context, each retrying its request
+ */
+const pendingContexts = new Map()
+
+/**
+ * @type {boolean} contextRootInstalled - true once pending context requests are retried when providers appear
+ */
+let contextRootInstalled = false
+
+/**
+ * Load the data of a 'resource' field once for every instance loading the same key. The shared load is aborted when
+ * every instance waiting for it has aborted.
+ * @param {string} key - The component, field and dependency values of the load
+ * @param {function(AbortSignal): Promise<any>} load - Loads the data, called by the first instance
+ * @param {AbortSignal} signal - Aborts waiting for the load
+ * @returns {Promise<any>} The loaded data
+ */
+function loadShared(key, load, signal) {
+  let shared = sharedLoads.get(key)
+  if (!shared) {
+    const controller = new AbortController()
+    shared = { promise: null, controller, users: 0 }
+    const promise = Promise.resolve()
+      .then(() => load(controller.signal))
+      .finally(() => sharedLoads.get(key) === shared && sharedLoads.delete(key))
+    shared.promise = promise
+    sharedLoads.set(key, shared)
+  }
+  shared.users++
+
+  const entry = shared
+  return new Promise((resolve, reject) => {
+    entry.promise.then(resolve, reject)
+    signal.addEventListener('abort', () => {
+      reject(signal.reason)
+      if (--entry.users) return
+      if (sharedLoads.get(key) === entry) sharedLoads.delete(key)
+      entry.controller.abort()
+    })
+  })
+}
+
+/**
+ * Create an event of the community context protocol, dispatched by consumers to request a context value and by
+ * providers to announce a context they've started providing
+ * @param {string} type - Either 'context-request' or 'context-provider'
+ * @param {any} context - The key of the context
+ * @param {Element} target - The element requesting or providing the context
+ * @param {Object.<string, any>} props - The callback and subscribe props of a request
+ * @returns {Event}
+ */
+function contextEvent(type, context, target, props = {}) {
+  const event = new Event(type, { bubbles: true, composed: true })
+  return Object.assign(event, { context, contextTarget: target }, props)
+}
+
+/**
+ * Retry the pending requests for the context, dropping the ones a provider answers
+ * @param {any} context - The key of the context that is now provided
+ */
+function retryContext(context) {
+  const pending = pendingContexts.get(context)
+  if (!pending) return
+  pending.forEach((request) => request() && pending.delete(request))
+  if (!pending.size) pendingContexts.delete(context)
 }
 
 /**
@@ -100,15 +599,12 @@ function build(child, builder, append = false) {
  * @param {*} builders Either a list of builders or a single builder to create markup under each child
  * @param {boolean} append - True to append children vs replace children
  * @returns The list of child nodes that were built
+ * @throws {BuilderMismatchError} If there are several builders and they don't match the number of children
  */
 function buildAll(node, builders, append = false) {
   let singleBuilder = null
   if (Array.isArray(builders) && node.children.length != builders.length && builders.length != 1) {
-    console.error(
-      `Number of template builders ${builders.length} doesn't match children ${node.children.length} for node/template ${node.id}`
-    )
-    // TODO
-    return null
+    throw new BuilderMismatchError(builders.length, node.children.length, node.id)
   }
   if (Array.isArray(builders) && builders.length === 1) {
     singleBuilder = builders[0]
@@ -121,6 +617,79 @@ function buildAll(node, builders, append = false) {
   })
 }
 
+/**
+ * Find the indexes of the longest strictly increasing subsequence, ignoring negative values
+ * @param {number[]} values - The values to search
+ * @returns {Set<number>} The indexes in values that make up the subsequence
+ */
+function longestIncreasing(values) {
+  const tails = []
+  const previous = new Array(values.length)
+  values.forEach((value, idx) => {
+    if (value < 0) return
+    let lo = 0
+    let hi = tails.length
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1
+      values[tails[mid]] < value ? (lo = mid + 1) : (hi = mid)
+    }
+    previous[idx] = lo > 0 ? tails[lo - 1] : -1
+    tails[lo] = idx
+  })
+
+  const result = new Set()
+  for (let idx = tails.length ? tails[tails.length - 1] : -1; idx >= 0; idx = previous[idx]) {
+    result.add(idx)
+  }
+  return result
+}
+
+/**
+ * Build a keyed list of elements under the node. Elements are reused by key, only new keys are created,
+ * only removed keys are removed, and the fewest elements are moved to match the order of the items.
+ * The children of the node are managed by the list, any other children are removed on the first build.
+ * @param {Element} node - The node to build the list under
+ * @param {any[]} items - The items to build elements for
+ * @param {function(any, number): any} keyFn - Returns the unique key for the item
+ * @param {function(any, number): Element} create - Creates the element for a new item
+ * @param {function(Element, any, number): void} [update] - Updates the element for the item
+ * @returns {Map<any, Element>} The items mapped to their elements
+ */
+function buildList(node, items, keyFn, create, update) {
+  /** @type {Map<any, Element>} */ const previous = node._listNodes || new Map()
+  if (!node._listNodes) node.replaceChildren()
+
+  const next = new Map()
+  const mapping = new Map()
+  Array.from(items).forEach((item, idx) => {
+    const key = keyFn(item, idx)
+    if (next.has(key)) {
+      console.error(`Duplicate key ${key} in list for node ${node.id}`)
+      return
+    }
+    const child = previous.get(key) || create(item, idx)
+    if (update) update(child, item, idx)
+    next.set(key, child)
+    mapping.set(item, child)
+  })
+
+  for (const [key, child] of previous) {
+    if (next.get(key) !== child) child.remove()
+  }
+
+  const children = Array.from(next.values())
+  const oldIndex = new Map(Array.from(node.children).map((child, idx) => [child, idx]))
+  const stable = longestIncreasing(children.map((child) => (oldIndex.has(child) ? oldIndex.get(child) : -1)))
+  let ref = null
+  for (let idx = children.length - 1; idx >= 0; idx--) {
+    if (!stable.has(idx)) node.insertBefore(children[idx], ref)
+    ref = children[idx]
+  }
+
+  node._listNodes = next
+  return mapping
+}
+
 class Component extends HTMLElement {
   /**
    * Define this web component
@@ -133,167 +702,878 @@ class Component extends HTMLElement {
    * Configure the base component configurations
    * componentPath - The base URL path for the components
    * verbose - Display verbose log messages
+   * themes - The named themes, each mapping CSS custom properties to values
+   * theme - The theme name or custom properties to publish, can be changed at runtime
+   * store - The store used by 'store' fields that don't name their own
    * @param {Configuration} conf
    */
   static configure(conf) {
     Object.assign(config, conf)
+    if (conf.theme) applyTheme(conf.theme)
+  }
+
+  /**
+   * Inline the view and style of a component so they aren't fetched, used by the bundles `maehem build` writes
+   * @param {string} name - The name of the component
+   * @param {{view: string|undefined, style: string|undefined}} assets - The view markup and the style text
+   */
+  static inline(name, { view, style }) {
+    Component.invalidate(name)
+    if (view !== undefined) views[name.toLowerCase()] = view
+    if (style !== undefined) styles[name.toLowerCase()] = style
+  }
+
+  /**
+   * Forget the loaded view and style of the component, so they're loaded again by the next instance rendered
+   * @param {string} name - The name of the component
+   */
+  static invalidate(name) {
+    name = name.toLowerCase()
+    delete views[name]
+    delete templates[name]
+    delete styles[name]
+    delete sheets[name]
+  }
+
+  /**
+   * Forget the data cached by 'resource' fields, so it's loaded again by the next instance connected
+   */
+  static clearResources() {
+    resourceCache.clear()
+  }
+
+  /**
+   * Load the changed view or style of the component again and apply it to every connected instance, keeping their
+   * field values. Stylesheets are replaced in place, views are rendered again. Called by the dev server when
+   * `<name>.html` or `<name>.css` changes.
+   * @param {string} name - The name of the component
+   * @param {'view'|'style'} asset - The asset that changed
+   */
+  static async hotUpdate(name, asset) {
+    name = name.toLowerCase()
+    const live = Array.from(instances[name] || [])
+    if (asset === 'style') {
+      delete styles[name]
+      if (sheets[name] && live.length) {
+        styles[name] = live[0]._getStyle()
+        sheets[name].replaceSync(await styles[name])
+        return
+      }
+      delete sheets[name]
+    } else {
+      delete views[name]
+      delete templates[name]
+    }
+    await Promise.all(live.map((instance) => instance._rerender()))
+  }
+
+  /**
+   * Get the attributes that will be watched by the Web Components attribute events
+   * @returns {string[]}
+   */
+  static get observedAttributes() {
+    return this.prototype
+      .fields()
+      .filter((v) => v.kind && v.kind === fieldKind.attr)
+      .map((v) => v.name)
+  }
+
+  /**
+   * @property {Array<string|CSSStyleSheet>} - shared styles adopted before the component's own stylesheet
+   */
+  static styles = []
+
+  /**
+   * @property {false|{mode: 'open'|'closed'|undefined, delegatesFocus: boolean|undefined}} - the options of the
+   * shadow root the view is rendered into, or false to render it into the light DOM. In the light DOM, the children
+   * of the component are moved into the matching `<slot>` elements of the view, and its style is global.
+   */
+  static shadow = { mode: 'open' }
+
+  /**
+   * @property {boolean} - set to true to take part in native forms through `ElementInternals`
+   */
+  static formAssociated = false
+
+  /**
+   * @property {string} - the name of the field submitted as the form value when form associated
+   */
+  static formField = 'value'
+
+  /**
+   * @property {Object.<string, string|eventHandler|EventEntry>} - the events handled by the component, keyed by the
+   * event name followed by a selector. Events are delegated from the shadow root, so elements rendered later are
+   * handled too. Without a selector the component itself is listened on, and `window` or `document` listen there.
+   *
+   *   static events = {
+   *     'click #save': 'onSave',
+   *     'input .field': { handler: 'onInput', passive: true },
+   *     'keydown document': 'onKeydown',
+   *   }
+   */
+  static events = {}
+
+  /**
+   * @property {boolean} - set to true if you do not need to download a view for this component
+   */
+  noView = false
+
+  /**
+   *
+   * @param {Object.<string, any>} defaults - the defaults for the attributes/state of the instance of this object
+   * @param {onConnectedCallback} onConnected - callback for after the node is connected to the dom
+   */
+  constructor(defaults = {}, onConnected = null) {
+    super()
+    // DOM shims like linkedom construct parsed elements with their document and tag name, which aren't defaults
+    const parsed = !!defaults && defaults.nodeType === 9
+    this._defaults = parsed ? {} : defaults
+    this._attrs = {}
+    this._state = {}
+    this._reflecting = null
+    this._restoring = null
+    /** @type {Node[]} */
+    this._slotted = []
+    /** @type {Set<Node>} */
+    this._rendered = new Set()
+    this._changedFields = new Map()
+    this._updatePending = false
+    this._updatePromise = Promise.resolve()
+    this._subscriptions = []
+    this._delegated = []
+    this._connected = null
+    /** @type {Promise<void>|null} */
+    this._initialization = null
+    this._hasConnected = false
+    /** @type {Promise<void>|null} */
+    this._disconnected = null
+    /** @type {AbortController|null} */
+    this._lifecycle = null
+    /** @type {Map<any, {value: any, callbacks: Map<Function, function(): void>}>} */
+    this._provided = new Map()
+    /** @type {Map<string, {get: function(Component): any, value: any, deps: Set<string>, dirty: boolean, failed: boolean, computing: boolean}>} */
+    this._computed = new Map()
+    /** @type {{names: string[], fn: function(any[], any[]): any}[]} */
+    this._watchers = []
+    /** @type {Map<string, {field: Field, controller: AbortController|null}>} */
+    this._resources = new Map()
+    /** @type {any} */ const ComponentClass = this.constructor
+    this._internals = ComponentClass.formAssociated && this.attachInternals ? this.attachInternals() : null
+    this._formDefault = undefined
+    this._validation = 0
+    this._error = null
+    this._onConnected = parsed ? null : onConnected
+    // Listening from construction answers the children that connect before this component has rendered
+    this.addEventListener('context-request', (e) => this._onContextRequest(e))
+  }
+
+  /**
+   * Resolves to true once all pending field updates have been rendered
+   * @returns {Promise<boolean>}
+   */
+  get updateComplete() {
+    return this._updatePromise.then(() => (this._updatePending ? this.updateComplete : true))
+  }
+
+  /**
+   * The callback from web comonents when an attribute is changed
+   * @param {string} name - The name of the updated attr
+   * @param {any} oldValue - the old value of the attr
+   * @param {any} newValue - the new value of the attr
+   * @returns {void}
+   */
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (oldValue == newValue || this._reflecting === name) return
+    const field = this.fields().find((f) => f.name === name)
+    const value = fromAttribute(newValue, field && field.type)
+    if (toAttribute(this._attrs['_' + name], field && field.type) !== toAttribute(value, field && field.type)) {
+      this._setField(name, value)
+    }
+  }
+
+  /**
+   * Called by web components when comopnent connected to the DOM
+   * @returns {Promise<void>} Resolves once the component is initialized and its connected hooks have run
+   */
+  connectedCallback() {
+    if (!this._lifecycle || this._lifecycle.signal.aborted) this._lifecycle = new AbortController()
+    const name = this.constructor.name.toLowerCase()
+    if (!instances[name]) instances[name] = new Set()
+    instances[name].add(this)
+    this._connected = this._connect()
+    return this._connected
+  }
+
+  /**
+   * Initialize the component the first time it is connected, or subscribe its fields and wire its events again
+   * when it is connected after being moved, then call its connected hooks. Errors are handed to the error fallback.
+   */
+  async _connect() {
+    // Moving a component disconnects and connects it at once, so its disconnected hooks finish first
+    if (this._disconnected) await this._disconnected
+
+    const first = !this._initialization
+    if (first) this._initialization = this._initialize()
+    try {
+      await this._initialization
+    } catch (ex) {
+      if (!first) return
+      this._initialization = null
+      await this._handleError(ex, ex instanceof ViewLoadError ? 'view' : 'initialize')
+      return
+    }
+    // Disconnected while initializing, so it is wired when it's connected again
+    if (!this.isConnected) {
+      this._teardown()
+      return
+    }
+    if (!first) this._reconnect()
+
+    try {
+      if (!this._hasConnected) {
+        await this.onFirstConnected()
+        this._hasConnected = true
+      }
+      await this.onConnected()
+      if (this._onConnected) {
+        await this._onConnected(this)
+      }
+    } catch (ex) {
+      await this._handleError(ex, 'connected')
+    }
+  }
+
+  /**
+   * Subscribe the fields and wire the events again, keeping the field values and the rendered view
+   */
+  _reconnect() {
+    this._teardown()
+    for (const field of this.fields()) {
+      this._subscribeField(field)
+    }
+    this._wireEvents()
+    this._delegateEvents()
+  }
+
+  /**
+   * Unwire the events and unsubscribe the fields, done when the component is disconnected
+   */
+  _teardown() {
+    this._wireEvents(true)
+    this._undelegateEvents()
+    this._subscriptions.forEach((unsubscribe) => unsubscribe())
+    this._subscriptions = []
+  }
+
+  /**
+   * Aborted when the component is disconnected, to cancel the fetches, timers and listeners started while it was
+   * connected. Each connection has its own signal.
+   * @returns {AbortSignal}
+   */
+  get lifecycleSignal() {
+    if (!this._lifecycle) this._lifecycle = new AbortController()
+    return this._lifecycle.signal
+  }
+
+  /**
+   * Called when an error occurs initializing, connecting or updating the component - should be overriden by child.
+   * The error view is already shown and the error is passed on to the nearest `<maehem-boundary>`.
+   * @param {Error} err - The error that occurred
+   * @param {string} phase - Either 'view', 'initialize', 'connected' or 'update'
+   * @returns void
+   */
+  async onError(err, phase) {
+    return // Should be overridden
+  }
+
+  /**
+   * Initialize and connect the component again after an error
+   */
+  async retry() {
+    this._error = null
+    this._teardown()
+    this._initialization = null
+    await this.connectedCallback()
+  }
+
+  /**
+   * Show the error view, call `onError` and pass the error on to the nearest boundary
+   * @param {Error} err - The error that occurred
+   * @param {string} phase - The phase the error occurred in
+   */
+  async _handleError(err, phase) {
+    this._error = err
+    this._showFallback('error', err)
+    try {
+      await this.onError(err, phase)
+    } catch (ex) {
+      console.error(`An error occurred handling an error for component ${this.nodeName}`, ex)
+    }
+
+    const event = new CustomEvent('maehem-error', {
+      bubbles: true,
+      composed: true,
+      cancelable: true,
+      detail: { error: err, phase, component: this },
+    })
+    this.dispatchEvent(event)
+    if (!event.defaultPrevented) {
+      console.error(`An error occurred during ${phase} for component ${this.nodeName}`, err)
+    }
+  }
+
+  /**
+   * Show the contents of the `<template id="loading">` or `<template id="error">` fallback, from the component's
+   * children or its view. Elements with a `data-error` attribute are filled with the error message.
+   * @param {string} id - Either 'loading' or 'error'
+   * @param {Error} err - The error to show
+   * @returns {boolean} True if a fallback was found and shown
+   */
+  _showFallback(id, err = null) {
+    if (!this.el) return false
+    // The children of a light DOM component are replaced, so its fallbacks are kept with its slotted nodes
+    if (this.el === this) this._collectSlotted()
+    const children = this.el === this ? this._slotted : Array.from(this.children)
+    /** @type {any} */ const template =
+      children.find((child) => isFallback(child) && child.id === id) || this.el.querySelector(`template#${id}`)
+    if (!template) return false
+
+    const content = template.content.cloneNode(true)
+    if (err) content.querySelectorAll('[data-error]').forEach((node) => (node.textContent = err.message))
+    this.el.replaceChildren(content)
+    this._rendered = new Set(this.el.childNodes)
+    return true
+  }
+
+  /**
+   * Called once, after the component is initialized and first connected, before `onConnected` - should be
+   * overriden by child
+   * @returns void
+   */
+  async onFirstConnected() {
+    return // Should be overridden
+  }
+
+  /**
+   * Called after connected, each time the component is inserted in the DOM - should be overriden by child
+   * @returns void
+   */
+  async onConnected() {
+    return // Should be overridden
+  }
+
+  /**
+   * Called by web components when component disconnected from the DOM
+   * @returns {Promise<void>} Resolves once the disconnected hooks have run
+   */
+  disconnectedCallback() {
+    const name = this.constructor.name.toLowerCase()
+    if (instances[name]) instances[name].delete(this)
+    if (this._lifecycle) this._lifecycle.abort()
+    this._teardown()
+    this._disconnected = this._runHook(this._disconnected, 'disconnected', () => this.onDisconnected())
+    return this._disconnected
+  }
+
+  /**
+   * Called after disconnected, each time the component is removed from the DOM - should be overriden by child.
+   * Connecting the component again waits for it.
+   * @returns void
+   */
+  async onDisconnected() {
+    return // Should be overridden
+  }
+
+  /**
+   * Called by web components when the component is moved to another document
+   * @param {Document} oldDocument - The document the component was in
+   * @param {Document} newDocument - The document the component is moved to
+   * @returns {Promise<void>} Resolves once the adopted hooks have run
+   */
+  adoptedCallback(oldDocument, newDocument) {
+    this._disconnected = this._runHook(this._disconnected, 'adopted', () => this.onAdopted(oldDocument, newDocument))
+    return this._disconnected
+  }
+
+  /**
+   * Called after the component is moved to another document, before it is connected there - should be overriden
+   * by child
+   * @param {Document} oldDocument - The document the component was in
+   * @param {Document} newDocument - The document the component is moved to
+   * @returns void
+   */
+  async onAdopted(oldDocument, newDocument) {
+    return // Should be overridden
+  }
+
+  /**
+   * Run a hook after the previous one, logging its errors since the component can't show them while disconnected
+   * @param {Promise<void>|null} previous - The hook that runs first
+   * @param {string} phase - The name of the hook for the error message
+   * @param {function(): Promise<void>} hook - The hook to run
+   */
+  async _runHook(previous, phase, hook) {
+    if (previous) await previous
+    try {
+      await hook()
+    } catch (ex) {
+      console.error(`An error occurred during ${phase} for component ${this.nodeName}`, ex)
+    }
+  }
+
+  /**
+   * Called by web-dev-server when a hot reload occurs
+   */
+  async hotReplacedCallback() {
+    // Initialized again with the replaced class, the fields keep their values
+    this._teardown()
+    await this._initialize()
+  }
+
+  /**
+   * Render the view again, keeping the field values, after it was changed by a hot reload
+   */
+  async _rerender() {
+    this._wireEvents(true)
+    this._undelegateEvents()
+    try {
+      await this._renderView()
+    } catch (ex) {
+      await this._handleError(ex, ex instanceof ViewLoadError ? 'view' : 'update')
+    }
+  }
+
+  /**
+   * The attributes/state for this component
+   * @returns {Field[]}
+   */
+  fields() {
+    return []
+  }
+
+  /**
+   * Derives default value for field (attribute, state) based on def parameter
+   * @param {any} def The default value we're attempting to derive
+   * @returns The output from the defautl value
+   */
+  async _getDefault(def) {
+    if (typeof def === 'function' && !(def instanceof HTMLElement)) {
+      return await def(this)
+    }
+    return def
+  }
+
+  /**
+   * Intialize the given field for this Component instance
+   * @param {Field} field The field to initialize
+   */
+  async _initField(field) {
+    if (field.kind === fieldKind.computed) {
+      this._initComputed(field)
+      return
+    }
+    if (field.kind === fieldKind.resource) {
+      this._initResource(field)
+      return
+    }
+
+    const name = field.name
+    const isAttr = field.kind && field.kind === fieldKind.attr
+    const objs = isAttr ? this._attrs : this._state
+    const isStore = field.kind === fieldKind.store
+    const store = isStore ? field.store || config.store : null
+    if (isStore && !store) {
+      throw new Error(`No store configured for field ${name} of component ${this.nodeName}`)
+    }
+
+    const isContext = field.kind === fieldKind.context
+    const provided = isContext ? this._requestContext(field.key) : undefined
+
+    // Fields initialized before, by a hot reload or a retry, keep their values. A required field that failed was left
+    // undefined, so a retry reads it again.
+    const initialized = objs['_' + name] !== undefined
+    const persists = !!field.persist && !isStore && !isContext
+    const persisted = persists && !initialized ? readPersisted(field, this._persistKey(field)) : undefined
+    if (isStore && store.get(field.path) !== undefined) {
+      objs['_' + name] = store.get(field.path)
+    } else if (isContext && provided !== undefined) {
+      objs['_' + name] = provided
+    } else if (initialized) {
+      // Keep the current value
+    } else if (persisted !== undefined) {
+      objs['_' + name] = persisted
+    } else if (this._defaults[name] !== undefined) {
+      objs['_' + name] = await this._getDefault(this._defaults[name])
+    } else if (isAttr && this.hasAttribute(name) && (field.type || this.getAttribute(name))) {
+      objs['_' + name] = fromAttribute(this.getAttribute(name), field.type)
+    } else {
+      objs['_' + name] = await this._getDefault(field.default)
+    }
+
+    if (this._isFormField(name)) {
+      if (!initialized) this._formDefault = objs['_' + name]
+    } else if (field.required && objs['_' + name] === undefined) {
+      throw new RequiredFieldError(field.name, this.nodeName)
+    }
+
+    this['set_' + name] = this['set_' + name]
+      ? this['set_' + name]
+      : async function (newValue) {
+          const oldValue = objs['_' + name]
+          if (newValue === oldValue) return
+
+          objs['_' + name] = newValue
+          if (isAttr && field.reflect !== false) this._reflectField(field, newValue)
+          if (isStore) store.set(field.path, newValue)
+          if (persists && this._restoring !== name) writePersisted(field, this._persistKey(field), newValue)
+          if (this._isFormField(name)) this._syncForm(field)
+          await this._requestUpdate(name, oldValue)
+        }
+
+    this._subscribeField(field)
+
+    if (!Object.prototype.hasOwnProperty.call(this, name)) {
+      Object.defineProperty(this, name, {
+        get() {
+          track(this, name)
+          return objs['_' + name]
+        },
+        set(v) {
+          this['set_' + name](v)
+        },
+      })
+    }
+  }
+
+  /**
+   * Define the getter of a 'computed' field. Its value is cached until a field it read changes, which makes it
+   * change too, rendering it and dispatching its change events.
+   * @param {Field} field - The computed field to initialize
+   */
+  _initComputed(field) {
+    const name = field.name
+    const entry = this._computed.get(name)
+    this._computed.set(name, {
+      get: field.get,
+      value: entry && entry.value,
+      deps: new Set(),
+      dirty: true,
+      failed: false,
+      computing: false,
+    })
+    if (Object.prototype.hasOwnProperty.call(this, name)) return
+
+    Object.defineProperty(this, name, {
+      get() {
+        const entry = this._computed.get(name)
+        track(this, name)
+        if (!entry.dirty) return entry.value
+        if (entry.computing) throw new Error(`Computed field ${name} of component ${this.nodeName} depends on itself`)
+
+        const outer = tracking
+        tracking = { component: this, deps: new Set() }
+        entry.computing = true
+        try {
+          entry.value = entry.get(this)
+          entry.dirty = false
+          entry.failed = false
+        } catch (ex) {
+          entry.failed = true
+          throw ex
+        } finally {
+          entry.deps = tracking.deps
+          entry.computing = false
+          tracking = outer
+        }
+        return entry.value
+      },
+      set() {
+        throw new Error(`Computed field ${name} of component ${this.nodeName} can't be set`)
+      },
+    })
+  }
+
+  /**
+   * Define the getter of a 'resource' field, which starts loading once the view is rendered. The component renders
+   * right away, with the field's `loading`, `error` and `data` updated as the load progresses.
+   * @param {Field} field - The resource field to initialize
+   */
+  _initResource(field) {
+    const name = field.name
+    const resource = this._resources.get(name)
+    if (resource) {
+      resource.field = field
+    } else {
+      this._resources.set(name, { field, controller: null })
+    }
+    if (!Object.prototype.hasOwnProperty.call(this._state, '_' + name)) {
+      this._state['_' + name] = { loading: true, error: null, data: undefined }
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(this, name)) {
+      Object.defineProperty(this, name, {
+        get() {
+          track(this, name)
+          return this._state['_' + name]
+        },
+        set() {
+          throw new Error(`Resource field ${name} of component ${this.nodeName} can't be set`)
+        },
+      })
+    }
+  }
+
+  /**
+   * Load the 'resource' field with the current values of its dependencies, aborting the load it supersedes. Loads
+   * are aborted when the component is disconnected, and started again when it's connected.
+   * @param {string} name - The name of the resource field
+   * @param {boolean} force - True to load it even if its data is cached
+   * @returns {Promise<void>} Resolves once the load has finished, failed or been aborted
+   */
+  async _loadResource(name, force = false) {
+    const resource = this._resources.get(name)
+    const field = resource.field
+    if (resource.controller) resource.controller.abort()
+    resource.controller = null
+
+    const args = (field.deps || []).map((dep) => this[dep])
+    const key = `${this.constructor.name.toLowerCase()}.${name}:${JSON.stringify(args)}`
+    const cached = field.cache && !force ? resourceCache.get(key) : null
+    if (cached && (field.cache === true || Date.now() - cached.time < field.cache)) {
+      this._setResource(name, { loading: false, error: null, data: cached.data })
+      return
+    }
+    if (!this[name].loading || this[name].error) this._setResource(name, { loading: true, error: null })
+    if (!this.isConnected) return
+
+    const controller = new AbortController()
+    resource.controller = controller
+    const lifecycle = this.lifecycleSignal
+    const abort = () => controller.abort()
+    lifecycle.addEventListener('abort', abort)
+    try {
+      const data =
+        field.cache || field.dedupe
+          ? await loadShared(key, (signal) => field.load(this, signal), controller.signal)
+          : await field.load(this, controller.signal)
+      if (controller.signal.aborted) return
+      if (field.cache) resourceCache.set(key, { data, time: Date.now() })
+      this._setResource(name, { loading: false, error: null, data })
+    } catch (ex) {
+      if (controller.signal.aborted) return
+      this._setResource(name, { loading: false, error: ex })
+    } finally {
+      lifecycle.removeEventListener('abort', abort)
+      if (resource.controller === controller) resource.controller = null
+    }
   }
 
   /**
-   * Get the attributes that will be watched by the Web Components attribute events
-   * @returns {string[]}
+   * Update the state of the 'resource' field
+   * @param {string} name - The name of the resource field
+   * @param {Object.<string, any>} changes - The changed `loading`, `error` and `data`
    */
-  static get observedAttributes() {
-    return this.prototype
-      .fields()
-      .filter((v) => v.kind && v.kind === fieldKind.attr)
-      .map((v) => v.name)
+  _setResource(name, changes) {
+    const oldValue = this._state['_' + name]
+    this._state['_' + name] = Object.assign({}, oldValue, changes)
+    this._requestUpdate(name, oldValue)
   }
 
   /**
-   * @property {boolean} - set to true if you do not need to download a view for this component
-   */
-  noView = false
-
-  /**
-   *
-   * @param {Object.<string, any>} defaults - the defaults for the attributes/state of the instance of this object
-   * @param {onConnectedCallback} onConnected - callback for after the node is connected to the dom
+   * Load the 'resource' field again, even if its data is cached
+   * @param {string} name - The name of the resource field
+   * @returns {Promise<void>} Resolves once the load has finished, failed or been aborted
    */
-  constructor(defaults = {}, onConnected = null) {
-    super()
-    this._defaults = defaults
-    this._attrs = {}
-    this._state = {}
-    this._onConnected = onConnected
+  refetch(name) {
+    if (!this._resources.has(name)) throw new Error(`No resource field ${name} in component ${this.nodeName}`)
+    return this._loadResource(name, true)
   }
 
   /**
-   * The callback from web comonents when an attribute is changed
-   * @param {string} name - The name of the updated attr
-   * @param {any} oldValue - the old value of the attr
-   * @param {any} newValue - the new value of the attr
-   * @returns {void}
+   * Call the function after an update changes any of the fields, with their new and previous values in the order of
+   * the names. Watchers run after the change events, whether or not the update is rendered.
+   * @param {string|string[]} names - The names of the fields to watch
+   * @param {function(any[], any[]): any} fn - Called with the new values and the previous values of the fields
+   * @param {{immediate: boolean|undefined}} options - immediate - True to also call it now with the current values
+   * @returns {function(): void} Stops watching
    */
-  attributeChangedCallback(name, oldValue, newValue) {
-    if (oldValue == newValue) return
-    if (this._attrs[name] != newValue) {
-      this._setField(name, newValue)
+  watch(names, fn, { immediate = false } = {}) {
+    const watcher = { names: [].concat(names), fn }
+    this._watchers.push(watcher)
+    if (immediate)
+      fn(
+        watcher.names.map((name) => this[name]),
+        watcher.names.map(() => undefined)
+      )
+    return () => {
+      this._watchers = this._watchers.filter((w) => w !== watcher)
     }
   }
 
   /**
-   * Called by web components when comopnent connected to the DOM
+   * Subscribe a 'store' or 'context' field to its source, until the component is disconnected. The field is set to
+   * the current value of the source, which may have changed while the component was disconnected. A 'resource' field
+   * starts loading unless it has loaded or is loading, and a persisted field syncs with its persisted value.
+   * @param {Field} field - The field to subscribe
    */
-  async connectedCallback() {
-    await this._initialize()
-    await this.onConnected()
-    if (this._onConnected) {
-      await this._onConnected(this)
+  _subscribeField(field) {
+    const set = (value) => this['set_' + field.name](value)
+    if (field.kind === fieldKind.store) {
+      const store = field.store || config.store
+      this._subscriptions.push(store.subscribe(field.path, set))
+      if (store.get(field.path) !== undefined) set(store.get(field.path))
+    } else if (field.kind === fieldKind.context) {
+      this._subscriptions.push(this._consumeContext(field.key, set))
+    } else if (field.kind === fieldKind.resource) {
+      // Loads aborted by a disconnection start again
+      if (this[field.name].loading && !this._resources.get(field.name).controller) this._loadResource(field.name)
+    } else if (field.persist && typeof window !== 'undefined') {
+      this._subscriptions.push(this._syncPersisted(field))
     }
   }
 
   /**
-   * Called after connected - should be overriden by child
-   * @returns void
+   * Get the storage key or query parameter the field is persisted to
+   * @param {Field} field - The persisted field
+   * @returns {string}
    */
-  async onConnected() {
-    return // Should be overridden
+  _persistKey(field) {
+    if (field.key) return field.key
+    return field.persist === 'query' ? field.name : `${this.constructor.name.toLowerCase()}.${field.name}`
   }
 
   /**
-   * Called by web components when component disconnected from the DOM
+   * Keep the persisted field in sync with its value changed by another tab, or by going back and forward for fields
+   * persisted to the query. A removed value sets the field back to its default.
+   * @param {Field} field - The persisted field
+   * @returns {function(): void} Stops syncing
    */
-  disconnectedCallback() {
-    this._wireEvents(true)
-    this.onDisconnected()
+  _syncPersisted(field) {
+    const key = this._persistKey(field)
+    const type = field.persist === 'query' ? 'popstate' : 'storage'
+    const sync = async (e) => {
+      if (type === 'storage' && ((e.key !== null && e.key !== key) || e.storageArea !== storageOf(field))) return
+      const persisted = readPersisted(field, key)
+      const value = persisted !== undefined ? persisted : await this._getDefault(field.default)
+      // Restored values are already persisted
+      this._restoring = field.name
+      try {
+        this['set_' + field.name](value)
+      } finally {
+        this._restoring = null
+      }
+    }
+    window.addEventListener(type, sync)
+    return () => window.removeEventListener(type, sync)
   }
 
   /**
-   * Called after disconnected - should be overriden by child
-   * @returns void
+   * Write the field value back to its attribute
+   * @param {Field} field - The attr field to reflect
+   * @param {any} value - The value to serialize to the attribute
    */
-  async onDisconnected() {
-    return // Should be overridden
+  _reflectField(field, value) {
+    const attr = toAttribute(value, field.type)
+    this._reflecting = field.name
+    try {
+      attr === null ? this.removeAttribute(field.name) : this.setAttribute(field.name, attr)
+    } finally {
+      this._reflecting = null
+    }
   }
 
   /**
-   * Called by web-dev-server when a hot reload occurs
+   * Provide a value to the 'context' fields with the given key of every component nested in this one, across
+   * shadow roots. Setting a new value for the key updates the subscribed fields through their `set_<name>`.
+   * @param {any} key - The key of the context, matched by identity
+   * @param {any} value - The value to provide
    */
-  async hotReplacedCallback() {
-    await this._initialize()
+  provide(key, value) {
+    const entry = this._provided.get(key)
+    if (!entry) {
+      this._provided.set(key, { value, callbacks: new Map() })
+      // Consumers that requested the context before it was provided request it again
+      this.dispatchEvent(contextEvent('context-provider', key, this))
+      return
+    }
+    if (entry.value === value) return
+    entry.value = value
+    entry.callbacks.forEach((unsubscribe, callback) => callback(value, unsubscribe))
   }
 
   /**
-   * The attributes/state for this component
-   * @returns {Field[]}
+   * Answer a request for a context this component provides, from a component nested in it
+   * @param {any} e - The `context-request` event
    */
-  fields() {
-    return []
+  _onContextRequest(e) {
+    const target = e.contextTarget || (e.composedPath ? e.composedPath()[0] : e.target)
+    const entry = this._provided.get(e.context)
+    if (!entry || target === this) return
+    e.stopPropagation()
+
+    if (!e.subscribe) {
+      e.callback(entry.value)
+      return
+    }
+    const unsubscribe = () => entry.callbacks.delete(e.callback)
+    entry.callbacks.set(e.callback, unsubscribe)
+    e.callback(entry.value, unsubscribe)
   }
 
   /**
-   * Derives default value for field (attribute, state) based on def parameter
-   * @param {any} def The default value we're attempting to derive
-   * @returns The output from the defautl value
+   * Get the value of the context provided by the nearest ancestor, without subscribing to it
+   * @param {any} key - The key of the context
+   * @returns {any} The provided value, undefined without a provider
    */
-  async _getDefault(def) {
-    if (typeof def === 'function' && !(def instanceof HTMLElement)) {
-      return await def(this)
+  _requestContext(key) {
+    let provided
+    const callback = (value) => {
+      provided = value
     }
-    return def
+    this.dispatchEvent(contextEvent('context-request', key, this, { callback, subscribe: false }))
+    return provided
   }
 
   /**
-   * Intialize the given field for this Component instance
-   * @param {Field} field The field to initialize
+   * Subscribe to the context provided by the nearest ancestor. Without a provider, the request is made again
+   * when one starts providing the context.
+   * @param {any} key - The key of the context
+   * @param {function(any): void} callback - Called with the provided value, and again whenever it changes
+   * @returns {function(): void} Unsubscribes from the provider
    */
-  async _initField(field) {
-    const name = field.name
-    const isAttr = field.kind && field.kind === fieldKind.attr
-    const objs = isAttr ? this._attrs : this._state
-
-    if (this._defaults[name] !== undefined) {
-      objs['_' + name] = await this._getDefault(this._defaults[name])
-    } else if (isAttr) {
-      objs['_' + name] = this.getAttribute(name) || (await this._getDefault(field.default))
-    } else {
-      objs['_' + name] = await this._getDefault(field.default)
+  _consumeContext(key, callback) {
+    let unsubscribeProvider = null
+    const onValue = (value, unsubscribe) => {
+      // A nearer provider replaces the previous one
+      if (unsubscribe !== unsubscribeProvider) {
+        if (unsubscribeProvider) unsubscribeProvider()
+        unsubscribeProvider = unsubscribe || null
+      }
+      callback(value)
     }
-
-    if (field.required && objs['_' + name] === undefined) {
-      throw new Error(`${field.name} is required for component ${this.nodeName}`)
+    const request = () => {
+      let answered = false
+      const answer = (value, unsubscribe) => {
+        answered = true
+        onValue(value, unsubscribe)
+      }
+      this.dispatchEvent(contextEvent('context-request', key, this, { callback: answer, subscribe: true }))
+      return answered
     }
 
-    this['set_' + name] = this['set_' + name]
-      ? this['set_' + name]
-      : async function (newValue) {
-          const oldValue = objs[name]
-          if (newValue === oldValue) return
-
-          objs['_' + name] = newValue
-          if (isAttr) this.setAttribute(name, newValue)
-          const renderData = await this._renderField(name)
-          this._wireEvents()
-          const eventName = `${name}_updated`
-          if (this[eventName]) await this[eventName](newValue, oldValue, renderData)
-          this.$dispatch(`${name}_change`, {
-            detail: { oldValue, newValue, renderData },
-          })
-          this.$dispatch(`change`, {
-            detail: { oldValue, newValue, renderData, prop: name },
-          })
-        }
+    if (!request()) {
+      if (!pendingContexts.has(key)) pendingContexts.set(key, new Set())
+      pendingContexts.get(key).add(request)
+      if (!contextRootInstalled) {
+        document.addEventListener('context-provider', (e) => retryContext(/** @type {any} */ (e).context))
+        contextRootInstalled = true
+      }
+    }
 
-    if (!objs[name]) {
-      Object.defineProperty(this, name, {
-        get() {
-          return objs['_' + name]
-        },
-        set(v) {
-          this['set_' + name](v)
-        },
-      })
+    return () => {
+      if (pendingContexts.has(key)) pendingContexts.get(key).delete(request)
+      if (unsubscribeProvider) unsubscribeProvider()
+      unsubscribeProvider = null
     }
   }
 
@@ -301,24 +1581,119 @@ class Component extends HTMLElement {
    * Initialize this component
    */
   async _initialize() {
-    this.el = this.el ? this.el : this.attachShadow({ mode: 'open' })
+    const hydrate = !this.el && !!this.shadowRoot && this.shadowRoot.childNodes.length > 0
+    this.el = this.el ? this.el : this._createRoot()
+    // Light DOM components rendered on the server keep their markup until the view replaces it
+    const rendered = this.el === this && this.hasAttribute('m-rendered')
+    if (!hydrate && !rendered) this._showFallback('loading')
     for (const field of this.fields()) {
       await this._initField(field)
     }
-    await this._renderView()
+    // Computed fields are evaluated once to track their dependencies, so they change with them before they're read.
+    // Those reading data that isn't there yet are evaluated again when the fields they read so far change.
+    this._computed.forEach((entry, name) => {
+      try {
+        this[name]
+      } catch (ex) {
+        // Thrown again when read
+      }
+    })
+    const formField = this.fields().find((f) => this._isFormField(f.name))
+    if (formField) this._syncForm(formField)
+    hydrate ? await this._hydrateView() : await this._renderView()
+    // Resources start loading once the view is rendered, which shows them loading
+    for (const field of this.fields()) {
+      if (field.kind === fieldKind.resource) this._subscribeField(field)
+    }
+  }
+
+  /**
+   * Create the node the view is rendered into: a shadow root, or the component itself with `static shadow = false`
+   * @returns {ShadowRoot|HTMLElement}
+   */
+  _createRoot() {
+    /** @type {any} */ const ComponentClass = this.constructor
+    const shadow = ComponentClass.shadow
+    if (shadow) {
+      return (
+        this.shadowRoot || this.attachShadow({ mode: shadow.mode || 'open', delegatesFocus: !!shadow.delegatesFocus })
+      )
+    }
+    return this
+  }
+
+  /**
+   * Keep the children added to a light DOM component before it replaces them with its view or a fallback. They may be
+   * added after it's connected, while the document is parsed. When it was rendered on the server, they are taken
+   * back from the slots they were moved into and the rendered view is dropped.
+   */
+  _collectSlotted() {
+    if (this.hasAttribute('m-rendered')) {
+      for (const slot of Array.from(this.querySelectorAll('slot[m-assigned]'))) {
+        // The slots of the light DOM components nested in this one hold their own children
+        if (slot.closest('[m-rendered]') === this) this._slotted.push(...Array.from(slot.childNodes))
+      }
+      this._rendered = new Set(this.childNodes)
+      this.removeAttribute('m-rendered')
+    }
+    for (const node of Array.from(this.childNodes)) {
+      if (!this._rendered.has(node) && !this._slotted.includes(node)) this._slotted.push(node)
+    }
+  }
+
+  /**
+   * Move the children of a light DOM component into the matching slots of its view, replacing their fallback
+   * content, then call the slotchange hooks of the filled slots. Children without a matching slot aren't rendered.
+   */
+  _distributeSlots() {
+    const filled = new Set()
+    for (const node of this._slotted) {
+      if (isFallback(node)) continue
+      /** @type {any} */ const child = node
+      const name = child.nodeType === 1 ? child.getAttribute('slot') || '' : ''
+      const slot = this.$(name ? `slot[name="${name}"]` : 'slot:not([name])')
+      if (!slot) continue
+      if (!filled.has(slot)) slot.replaceChildren()
+      filled.add(slot)
+      slot.appendChild(node)
+    }
+    this._rendered = new Set(this.childNodes)
+    filled.forEach((slot) => this._onSlotChange(new Event('slotchange'), slot))
+  }
+
+  /**
+   * Call the `<name>_slotchange` hook of the slot, `default_slotchange` for the slot without a name
+   * @param {Event} e - The `slotchange` event
+   * @param {any} slot - The slot whose assigned nodes changed
+   */
+  _onSlotChange(e, slot) {
+    const hook = this[`${slot.getAttribute('name') || 'default'}_slotchange`]
+    if (typeof hook === 'function') hook.call(this, e, slot)
+  }
+
+  /**
+   * Get the elements assigned to the named slot of the view
+   * @param {string} name - The name of the slot, empty for the slot without a name
+   * @returns {Element[]}
+   */
+  $slot(name = '') {
+    /** @type {any} */ const slot = this.$(name ? `slot[name="${name}"]` : 'slot:not([name])')
+    if (!slot) return []
+    if (this.el !== this) return slot.assignedElements({ flatten: true })
+    return Array.from(slot.children).filter((child) => this._slotted.includes(child))
   }
 
   /**
    * Set el
-   * @param {ShadowRoot} value - set the el to this element
+   * @param {ShadowRoot|HTMLElement} value - set the el to this element
    */
   set el(value) {
     this._el = value
   }
 
   /**
-   * Get el
-   * @returns {ShadowRoot}
+   * Get el, the shadow root, or the component itself when it renders into the light DOM
+   * @returns {ShadowRoot|HTMLElement}
    */
   get el() {
     return this._el
@@ -362,6 +1737,17 @@ class Component extends HTMLElement {
       : (builders, append = false) => {
           return buildAll(node, builders, append)
         }
+    node.$list = node.$list
+      ? node.$list
+      : (items, keyFn, templateId, updateFn = null) => {
+          return buildList(
+            buildNode,
+            items,
+            keyFn,
+            () => this._extendElem(this.$T(templateId).firstElementChild),
+            updateFn
+          )
+        }
     return node
   }
 
@@ -423,6 +1809,96 @@ class Component extends HTMLElement {
     return null
   }
 
+  /**
+   * Called before a batched update is rendered - can be overriden by child to skip rendering.
+   * Change events are still dispatched when this returns false.
+   * @param {Map<string, any>} changedFields - The changed field names mapped to their previous values
+   * @returns {boolean} True to render the changed fields
+   */
+  shouldUpdate(changedFields) {
+    return true
+  }
+
+  /**
+   * Mark the field as changed and schedule an update for the next microtask
+   * @param {string} name - The name of the changed field
+   * @param {any} oldValue - The value of the field before the change
+   * @returns {Promise<void>} Resolves once the scheduled update has run
+   */
+  _requestUpdate(name, oldValue) {
+    if (!this._changedFields.has(name)) this._changedFields.set(name, oldValue)
+    // The computed fields depending on the field change with it, compared against their cached value
+    for (const [computed, entry] of this._computed) {
+      // Computed fields that failed are changed too, their dependencies may let them be evaluated now
+      if ((entry.dirty && !entry.failed) || !entry.deps.has(name)) continue
+      entry.dirty = true
+      entry.failed = false
+      this._requestUpdate(computed, entry.value)
+    }
+    for (const [resource, { field }] of this._resources) {
+      if (field.deps && field.deps.includes(name)) this._loadResource(resource)
+    }
+    if (!this._updatePending) {
+      this._updatePending = true
+      this._updatePromise = this._performUpdate(this._updatePromise)
+    }
+    return this._updatePromise
+  }
+
+  /**
+   * Render every changed field once, rewire events, then call the updated hooks, dispatch change events and run the
+   * watchers of the changed fields
+   * @param {Promise<void>} previous - The previously scheduled update, which must finish first
+   */
+  async _performUpdate(previous) {
+    await previous.catch(() => {})
+
+    const changedFields = this._changedFields
+    this._changedFields = new Map()
+    this._updatePending = false
+
+    try {
+      // Computed fields are evaluated here, which may throw
+      for (const [name, oldValue] of changedFields) {
+        if (this[name] === oldValue) changedFields.delete(name)
+      }
+      if (!changedFields.size) return
+
+      const render = this.shouldUpdate(changedFields)
+      const renderData = {}
+      if (render) {
+        if (this._view) this._view.update(changedFields)
+        for (const name of changedFields.keys()) {
+          renderData[name] = await this._renderField(name)
+        }
+        this._wireEvents()
+      }
+
+      for (const [name, oldValue] of changedFields) {
+        const newValue = this[name]
+        const eventName = `${name}_updated`
+        if (render && this[eventName]) await this[eventName](newValue, oldValue, renderData[name])
+        this.$dispatch(`${name}_change`, {
+          detail: { oldValue, newValue, renderData: renderData[name] },
+        })
+        this.$dispatch(`change`, {
+          detail: { oldValue, newValue, renderData: renderData[name], prop: name },
+        })
+      }
+
+      for (const { names, fn } of [...this._watchers]) {
+        if (!names.some((name) => changedFields.has(name))) continue
+        const oldValues = names.map((name) => (changedFields.has(name) ? changedFields.get(name) : this[name]))
+        await fn(
+          names.map((name) => this[name]),
+          oldValues
+        )
+      }
+    } catch (ex) {
+      await this._handleError(ex, 'update')
+    }
+  }
+
   /**
    * Asynchronously set a field's value
    * @param {string} name - the name of the field to set
@@ -432,6 +1908,127 @@ class Component extends HTMLElement {
     if (this['set_' + name]) await this['set_' + name](value)
   }
 
+  /**
+   * Check whether the field is submitted as the form value
+   * @param {string} name - The name of the field
+   * @returns {boolean}
+   */
+  _isFormField(name) {
+    /** @type {any} */ const ComponentClass = this.constructor
+    return !!this._internals && name === ComponentClass.formField
+  }
+
+  /**
+   * Submit the field's value as the form value and validate it
+   * @param {Field} field - The form field
+   */
+  async _syncForm(field) {
+    const value = this[field.name]
+    const formValue =
+      value === undefined || value === null || typeof value === 'string' || value instanceof FormData
+        ? value
+        : toAttribute(value, field.type)
+    this._internals.setFormValue(formValue === undefined ? null : formValue)
+
+    const validation = ++this._validation
+    let error = null
+    try {
+      error = await this._validateField(field, value)
+    } catch (ex) {
+      console.error(`An error occurred validating ${field.name} for component ${this.nodeName}`, ex)
+      return
+    }
+    if (validation !== this._validation) return
+    error ? this._internals.setValidity({ [error.flag]: true }, error.message) : this._internals.setValidity({})
+  }
+
+  /**
+   * Validate the form value against the field's validators
+   * @param {Field} field - The form field
+   * @param {any} value - The value to validate
+   * @returns {Promise<{flag: string, message: string}|null>} The failed validity flag and its message, or null if valid
+   */
+  async _validateField(field, value) {
+    const messages = field.messages || {}
+    if (value === undefined || value === null || value === '' || (Array.isArray(value) && !value.length)) {
+      if (!field.required && !this.hasAttribute('required')) return null
+      return { flag: 'valueMissing', message: messages.required || 'Please fill out this field.' }
+    }
+
+    const pattern = typeof field.pattern === 'string' ? new RegExp(`^(?:${field.pattern})$`) : field.pattern
+    if (pattern && !pattern.test(String(value))) {
+      return { flag: 'patternMismatch', message: messages.pattern || 'Please match the requested format.' }
+    }
+    if (field.min !== undefined && value < field.min) {
+      return { flag: 'rangeUnderflow', message: messages.min || `Value must be greater than or equal to ${field.min}.` }
+    }
+    if (field.max !== undefined && value > field.max) {
+      return { flag: 'rangeOverflow', message: messages.max || `Value must be less than or equal to ${field.max}.` }
+    }
+    for (const validator of field.validators || []) {
+      const message = await validator(value, this)
+      if (message) return { flag: 'customError', message }
+    }
+    return null
+  }
+
+  /**
+   * Called by the browser when the owning form is reset, sets the form field back to its initial value
+   */
+  async formResetCallback() {
+    /** @type {any} */ const ComponentClass = this.constructor
+    await this._setField(ComponentClass.formField, this._formDefault)
+  }
+
+  /**
+   * Called by the browser when restoring the form value on navigation or autofill
+   * @param {any} state - The restored value
+   */
+  async formStateRestoreCallback(state) {
+    /** @type {any} */ const ComponentClass = this.constructor
+    await this._setField(ComponentClass.formField, state)
+  }
+
+  /**
+   * The form this component is associated with
+   * @returns {HTMLFormElement|null}
+   */
+  get form() {
+    return this._internals ? this._internals.form : null
+  }
+
+  /**
+   * The validity of the form value
+   * @returns {ValidityState|null}
+   */
+  get validity() {
+    return this._internals ? this._internals.validity : null
+  }
+
+  /**
+   * The message describing why the form value is invalid
+   * @returns {string}
+   */
+  get validationMessage() {
+    return this._internals ? this._internals.validationMessage : ''
+  }
+
+  /**
+   * Check whether the form value is valid, firing `invalid` if it isn't
+   * @returns {boolean}
+   */
+  checkValidity() {
+    return this._internals ? this._internals.checkValidity() : true
+  }
+
+  /**
+   * Check whether the form value is valid, reporting the problem to the user if it isn't
+   * @returns {boolean}
+   */
+  reportValidity() {
+    return this._internals ? this._internals.reportValidity() : true
+  }
+
   /**
    * Render all fields on this component
    */
@@ -442,18 +2039,21 @@ class Component extends HTMLElement {
   /**
    * Download and return the view for this component
    * @returns {Promise.<string>} The view for this component
+   * @throws {ViewLoadError} If the view can't be downloaded
    */
   async _getView() {
-    try {
-      if (!views[this.constructor.name.toLowerCase()]) {
-        const resp = await fetch(`${getPath(this.constructor.name)}/${this.constructor.name}.html`)
-        views[this.constructor.name.toLowerCase()] = await resp.text()
+    if (views[this.constructor.name.toLowerCase()] === undefined) {
+      const url = `${getPath(this.constructor.name)}/${this.constructor.name}.html`
+      let resp
+      try {
+        resp = await fetch(url)
+      } catch (ex) {
+        throw new ViewLoadError(this.constructor.name, url, ex)
       }
-      return views[this.constructor.name.toLowerCase()]
-    } catch (ex) {
-      // TODO
-      console.error(`An error occurred getting view for component ${this.constructor.name}`, ex)
+      if (!resp.ok) throw new ViewLoadError(this.constructor.name, url, resp.status)
+      views[this.constructor.name.toLowerCase()] = await resp.text()
     }
+    return views[this.constructor.name.toLowerCase()]
   }
 
   /**
@@ -469,7 +2069,8 @@ class Component extends HTMLElement {
   }
 
   /**
-   * Used to attach (or detach) event listeners from the DOM for this component
+   * Used to attach (or detach) event listeners from the DOM for this component, for methods named
+   * `<id or class>_<event>_event`. Prefer `static events`, which is delegated and supports listener options.
    * @param {boolean} detach - True to only detach event listeners
    */
   _wireEvents(detach = false) {
@@ -514,30 +2115,199 @@ class Component extends HTMLElement {
   }
 
   /**
-   * Render the view for this component
+   * Attach the listeners for `static events` and the slotchange hooks, replacing any attached before
    */
-  async _renderView() {
+  _delegateEvents() {
+    this._undelegateEvents()
+    // Slot changes in the shadow root are routed to the `<name>_slotchange` hooks
+    if (this.el !== this) {
+      const listener = (e) => this._onSlotChange(e, e.target)
+      this.el.addEventListener('slotchange', listener)
+      this._delegated.push({ target: this.el, type: 'slotchange', listener, options: {} })
+    }
+    /** @type {any} */ const ComponentClass = this.constructor
+    for (const [key, value] of Object.entries(ComponentClass.events || {})) {
+      const entry = typeof value === 'object' ? value : { handler: value }
+      const handler = typeof entry.handler === 'function' ? entry.handler : this[entry.handler]
+      if (typeof handler !== 'function') {
+        console.error(`No handler ${entry.handler} for event '${key}' in component ${this.nodeName}`)
+        continue
+      }
+
+      const [type, ...rest] = key.trim().split(/\s+/)
+      let selector = rest.join(' ')
+      let target = entry.global ? document : this.el
+      if (!selector || selector === ':host') {
+        target = this
+        selector = ''
+      } else if (selector === 'window' || selector === 'document') {
+        target = selector === 'window' ? window : document
+        selector = ''
+      }
+
+      const options = {
+        passive: entry.passive,
+        capture: entry.capture === undefined ? !!selector && nonBubblingEvents.has(type) : entry.capture,
+      }
+      const delegated = { target, type, listener: null, options }
+      delegated.listener = (e) => {
+        let matched = target
+        if (selector) {
+          matched = e.target && typeof e.target.closest === 'function' ? e.target.closest(selector) : null
+          // Slotted children are matched too, but not the ancestors of the component
+          if (!matched || (target !== document && !target.contains(matched) && !this.contains(matched))) return
+        }
+        if (entry.once) this._undelegateEvents(delegated)
+        handler.call(this, e, matched)
+      }
+      target.addEventListener(type, delegated.listener, options)
+      this._delegated.push(delegated)
+    }
+  }
+
+  /**
+   * Remove the listeners attached for `static events`
+   * @param {Object|null} only - The attached listener to remove, null to remove all of them
+   */
+  _undelegateEvents(only = null) {
+    for (const { target, type, listener, options } of this._delegated) {
+      if (!only || only.listener === listener) target.removeEventListener(type, listener, options)
+    }
+    this._delegated = only ? this._delegated.filter((delegated) => delegated !== only) : []
+  }
+
+  /**
+   * Load and compile the view for this component
+   * @returns {Promise<import('./template.js').CompiledTemplate>} The compiled view
+   */
+  async _getTemplate() {
     const name = this.nodeName.toLowerCase()
-    const stylePath = getPath(name)
-    const style = `<link rel="stylesheet" href="${stylePath}/${name}.css"></link>`
     let view = ''
     if (!this.noView) {
-      if (!views[name]) {
+      if (views[name] === undefined) {
         views[name] = this._getView()
       }
 
       if (views[name] instanceof Promise) {
-        view = await views[name]
+        try {
+          view = await views[name]
+        } catch (ex) {
+          // Forget the failed download so the view is fetched again on retry
+          delete views[name]
+          throw ex
+        }
       } else {
         /** @type {*} */ const viewStr = views[name]
         view = viewStr
       }
     }
-    this.el.innerHTML = `${style}\n${view}`
+    if (!templates[name]) templates[name] = compile(view)
+    return templates[name]
+  }
+
+  /**
+   * Render the view for this component
+   */
+  async _renderView() {
+    const name = this.nodeName.toLowerCase()
+    const [style, template] = await Promise.all([this._adoptStyles(name), this._getTemplate()])
+    this._view = new BoundView(template, this)
+    this._view.update()
+    if (this.el === this) this._collectSlotted()
+    this.el.innerHTML = style
+    this.el.appendChild(this._view.fragment)
+    if (this.el === this) this._distributeSlots()
 
     await this._renderFields()
     this._bindEvents()
     this._wireEvents()
+    this._delegateEvents()
+  }
+
+  /**
+   * Download and return the style for this component
+   * @returns {Promise.<string>} The style for this component, empty if it has none
+   */
+  async _getStyle() {
+    const name = this.nodeName.toLowerCase()
+    try {
+      const resp = await fetch(`${getPath(name)}/${name}.css`)
+      return resp.ok ? await resp.text() : ''
+    } catch (ex) {
+      console.error(`An error occurred getting style for component ${this.constructor.name}`, ex)
+      return ''
+    }
+  }
+
+  /**
+   * Adopt the shared styles and the component's stylesheet, which is loaded once for every instance of the component.
+   * Where stylesheets can't be adopted, the styles are returned as markup instead. Light DOM components add them to
+   * the document.
+   * @param {string} name - The name of the component
+   * @returns {Promise<string>} The style markup to render before the view
+   */
+  async _adoptStyles(name) {
+    if (styles[name] === undefined) styles[name] = this._getStyle()
+    const style = await styles[name]
+    /** @type {any} */ const ComponentClass = this.constructor
+    const shared = ComponentClass.styles || []
+
+    if (this.el === this) {
+      addGlobalStyles(name, [...shared, style])
+      return ''
+    }
+    if (!('adoptedStyleSheets' in this.el)) {
+      // Marked so hydration tells them from the view
+      return [...shared, style].map((s) => `<style m-style>${toCssText(s)}</style>`).join('\n')
+    }
+    if (!sheets[name]) {
+      sheets[name] = new CSSStyleSheet()
+      sheets[name].replaceSync(style)
+    }
+    this.el.adoptedStyleSheets = [...shared.map(toSheet), sheets[name]]
+    return ''
+  }
+
+  /**
+   * Hydrate the view rendered on the server into the declarative shadow root, binding the rendered nodes instead of
+   * rendering them again. Views rendered with other values than the component's are rendered again.
+   */
+  async _hydrateView() {
+    const name = this.nodeName.toLowerCase()
+    const template = await this._getTemplate()
+    // The server renders the styles as marked markup before the view, separated by whitespace
+    const styleNodes = []
+    let gap = []
+    let first = this.el.firstChild
+    for (let node = first; node; node = node.nextSibling) {
+      /** @type {any} */ const child = node
+      if (child.nodeType === 1 && child.hasAttribute('m-style')) {
+        styleNodes.push(...gap, child)
+        gap = []
+        first = child.nextSibling
+      } else if ((child.nodeType === 3 && !child.data.trim()) || child.nodeType === 8) {
+        gap.push(child)
+      } else {
+        break
+      }
+    }
+    let view = BoundView.hydrate(template, this, first)
+    // Whitespace and comments after the styles may have been added to the markup instead of rendered from the view
+    if (!view && gap.length) {
+      view = BoundView.hydrate(template, this, gap[gap.length - 1].nextSibling)
+      styleNodes.push(...gap)
+    }
+    if (!view) {
+      await this._renderView()
+      return
+    }
+    if (!(await this._adoptStyles(name))) styleNodes.forEach((node) => node.remove())
+
+    this._view = view
+    this._view.update()
+    this._bindEvents()
+    this._wireEvents()
+    this._delegateEvents()
   }
 }
 
@@ -0,0 +1,419 @@
+/**
+ * Client-side routing for components. Routes render into `<maehem-router>` outlets, nested outlets render the
+ * child routes of the route rendered by their parent outlet, and `<maehem-link>` navigates without reloading.
+ *
+ *   Router.configure({
+ *     routes: [
+ *       { path: '/', component: 'home-page', load: () => import('./home-page/home-page.js') },
+ *       { path: '/users/:id', component: 'user-page', guard: (to) => isLoggedIn() || '/login', children: [
+ *         { path: 'posts/:postId', component: 'user-post' },
+ *       ] },
+ *       { path: '/old', redirect: '/' },
+ *       { path: '*', component: 'not-found' },
+ *     ],
+ *   })
+ *
+ * The params of the matched routes are set as attributes on the routed components, so they are handed to
+ * their `attr` fields.
+ */
+import Component from './index.js'
+
+/**
+ * @readonly
+ * @enum {string}
+ */
+const routerMode = {
+  history: 'history',
+  hash: 'hash',
+}
+
+/**
+ * The most redirects followed for one navigation before giving up
+ */
+const maxRedirects = 10
+
+/**
+ * A route to render in an outlet
+ * @typedef {Object} Route
+ * @property {string} path - The path pattern, with `:name` params and `*` to match anything
+ * @property {string|undefined} component - The tag name of the component to render
+ * @property {function(): Promise|undefined} load - Loads the component module, called on the first visit
+ * @property {string|function(RouteContext): string|undefined} redirect - The path to redirect to
+ * @property {function(RouteContext, RouteContext|null): boolean|string|Promise<boolean|string>|undefined} guard - Return false to cancel the navigation, or a path to redirect to
+ * @property {Route[]|undefined} children - The routes rendered by outlets nested in this route's component
+ */
+
+/**
+ * A route matched by the path, with the params it parsed
+ * @typedef {Object} RouteMatch
+ * @property {Route} route - The matched route
+ * @property {Object.<string, string>} params - The params of this route and its parents
+ */
+
+/**
+ * The resolved location
+ * @typedef {Object} RouteContext
+ * @property {string} path - The path, without the query
+ * @property {Object.<string, string>} query - The parsed query
+ * @property {Object.<string, string>} params - The params of every matched route
+ * @property {RouteMatch[]} matches - The matched routes, from the outermost outlet in
+ */
+
+/**
+ * The router configuration
+ * @typedef {Object} RouterConfiguration
+ * @property {Route[]} routes - The routes of the application
+ * @property {routerMode} mode - Either 'history' or 'hash'. Defaults to 'history', or 'hash' where the History API can't be used
+ * @property {string} base - The base path the application is served under, for 'history' mode
+ */
+
+/**
+ * @type {RouterConfiguration}
+ */
+const config = {
+  routes: [],
+  mode: routerMode.history,
+  base: '',
+}
+
+/**
+ * @type {RouteContext|null} current - the location currently rendered
+ */
+let current = null
+
+/**
+ * @type {Set<RouterOutlet>} outlets - the connected outlets
+ */
+const outlets = new Set()
+
+/**
+ * @type {number} navigationId - incremented for each navigation so stale ones are dropped
+ */
+let navigationId = 0
+
+/**
+ * Escape a path segment for use in a regular expression
+ * @param {string} segment - The segment to escape
+ * @returns {string}
+ */
+function escapeRegExp(segment) {
+  return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Compile the route's path into a regular expression, cached on the route. Routes with children match a prefix.
+ * @param {Route} route - The route to compile
+ * @returns {{regex: RegExp, keys: string[]}}
+ */
+function compilePath(route) {
+  if (route._compiled) return route._compiled
+  const keys = []
+  const pattern = route.path
+    .split('/')
+    .filter(Boolean)
+    .map((segment) => {
+      if (segment === '*') {
+        keys.push('wildcard')
+        return '(.*)'
+      }
+      if (segment.startsWith(':')) {
+        keys.push(segment.slice(1))
+        return '([^/]+)'
+      }
+      return escapeRegExp(segment)
+    })
+    .join('/')
+  const end = route.children ? '(?=/|$)' : '/?$'
+  route._compiled = { regex: new RegExp(`^${pattern ? '/' + pattern : ''}${end}`), keys }
+  return route._compiled
+}
+
+/**
+ * Match the path against the routes, following child routes
+ * @param {Route[]} routes - The routes to match
+ * @param {string} path - The path to match
+ * @param {Object.<string, string>} parentParams - The params of the parent routes
+ * @returns {RouteMatch[]|null} The matched routes, from the outermost in
+ */
+function matchRoutes(routes, path, parentParams = {}) {
+  for (const route of routes) {
+    const { regex, keys } = compilePath(route)
+    const match = path.match(regex)
+    if (!match) continue
+
+    const params = Object.assign({}, parentParams)
+    keys.forEach((key, idx) => {
+      params[key] = decodeURIComponent(match[idx + 1] || '')
+    })
+    if (!route.children) return [{ route, params }]
+
+    const rest = path.slice(match[0].length)
+    const children = matchRoutes(route.children, rest.startsWith('/') ? rest : '/' + rest, params)
+    if (children) return [{ route, params }, ...children]
+    if (rest === '' || rest === '/') return [{ route, params }]
+  }
+  return null
+}
+
+/**
+ * Resolve the URL into its route context
+ * @param {string} url - The path and query to resolve
+ * @returns {RouteContext}
+ */
+function resolve(url) {
+  const [path, search = ''] = url.split('?')
+  const matches = matchRoutes(config.routes, path || '/') || []
+  return {
+    path: path || '/',
+    query: Object.fromEntries(new URLSearchParams(search)),
+    params: matches.length ? matches[matches.length - 1].params : {},
+    matches,
+  }
+}
+
+/**
+ * Check whether the History API can be used on this page
+ * @returns {boolean}
+ */
+function historySupported() {
+  return !!(window.history && window.history.pushState) && window.location.protocol !== 'file:'
+}
+
+/**
+ * Get the URL of the current location, relative to the base
+ * @returns {string}
+ */
+function currentUrl() {
+  if (config.mode === routerMode.hash) return window.location.hash.slice(1) || '/'
+  const path = window.location.pathname
+  const relative = config.base && path.startsWith(config.base) ? path.slice(config.base.length) : path
+  return (relative || '/') + window.location.search
+}
+
+/**
+ * Load the components of every matched route that has a loader, once for each route
+ * @param {RouteMatch[]} matches - The matched routes
+ */
+async function loadComponents(matches) {
+  await Promise.all(
+    matches.map(async ({ route }) => {
+      if (!route.load) return
+      if (!route._loading) route._loading = route.load()
+      await route._loading
+      if (route.component) await customElements.whenDefined(route.component)
+    })
+  )
+}
+
+export class Router {
+  /**
+   * Configure the routes and start listening to location changes
+   * routes - The routes of the application
+   * mode - Either 'history' or 'hash'
+   * base - The base path the application is served under
+   * @param {RouterConfiguration} conf
+   * @returns {Promise<boolean>} Resolves once the current location is rendered
+   */
+  static configure(conf) {
+    Object.assign(config, conf)
+    if (config.mode === routerMode.history && !historySupported()) config.mode = routerMode.hash
+
+    window.removeEventListener('popstate', Router._onLocationChange)
+    window.removeEventListener('hashchange', Router._onLocationChange)
+    window.addEventListener(config.mode === routerMode.hash ? 'hashchange' : 'popstate', Router._onLocationChange)
+    return Router._navigate(currentUrl(), true, 0)
+  }
+
+  /**
+   * The location currently rendered
+   * @returns {RouteContext|null}
+   */
+  static get current() {
+    return current
+  }
+
+  /**
+   * Get the href to use in markup for the given path
+   * @param {string} url - The path and query
+   * @returns {string}
+   */
+  static href(url) {
+    return config.mode === routerMode.hash ? '#' + url : config.base + url
+  }
+
+  /**
+   * Navigate to the given path
+   * @param {string} url - The path and query to navigate to
+   * @param {{replace: boolean}} options - replace - True to replace the current history entry
+   * @returns {Promise<boolean>} True if the navigation was rendered, false if it was cancelled or superseded
+   */
+  static navigate(url, { replace = false } = {}) {
+    return Router._navigate(url, replace, 0)
+  }
+
+  /**
+   * Called when the user navigates with the browser
+   */
+  static _onLocationChange() {
+    const url = currentUrl()
+    if (current && url === current.path + Router._search(current.query)) return
+    Router._navigate(url, true, 0)
+  }
+
+  /**
+   * Serialize the query back to a search string
+   * @param {Object.<string, string>} query - The query
+   * @returns {string}
+   */
+  static _search(query) {
+    const search = new URLSearchParams(query).toString()
+    return search ? '?' + search : ''
+  }
+
+  /**
+   * Resolve the URL, follow redirects and guards, load the components, update the location and render the outlets
+   * @param {string} url - The path and query to navigate to
+   * @param {boolean} replace - True to replace the current history entry
+   * @param {number} redirects - The number of redirects followed so far
+   * @returns {Promise<boolean>}
+   */
+  static async _navigate(url, replace, redirects) {
+    if (redirects > maxRedirects) {
+      console.error(`Too many redirects navigating to ${url}`)
+      return false
+    }
+
+    const id = ++navigationId
+    const to = resolve(url)
+    if (!to.matches.length) {
+      console.error(`No route found for ${to.path}`)
+    }
+
+    for (const { route } of to.matches) {
+      let target = route.redirect
+      if (typeof target === 'function') target = target(to)
+      if (!target && route.guard) {
+        const allowed = await route.guard(to, current)
+        if (id !== navigationId) return false
+        if (allowed === false) return false
+        if (typeof allowed === 'string') target = allowed
+      }
+      // The redirect takes the place of the navigation, in the history entry it would have added or replaced
+      if (target) return Router._navigate(target, replace, redirects + 1)
+    }
+
+    await loadComponents(to.matches)
+    if (id !== navigationId) return false
+
+    if (url !== currentUrl()) {
+      if (config.mode === routerMode.hash) {
+        replace ? window.location.replace('#' + url) : (window.location.hash = url)
+      } else {
+        replace
+          ? window.history.replaceState(null, '', config.base + url)
+          : window.history.pushState(null, '', config.base + url)
+      }
+    }
+
+    current = to
+    outlets.forEach((outlet) => outlet.renderRoute())
+    window.dispatchEvent(new CustomEvent('maehem-route', { detail: to }))
+    return true
+  }
+}
+
+/**
+ * The outlet that renders the component of the matched route at its depth
+ */
+export class RouterOutlet extends Component {
+  static name = 'maehem-router'
+
+  /**
+   * @property {Element|null} - the element of the routed component, rendered after the style markup if there is any
+   */
+  _routed = null
+
+  async onConnected() {
+    outlets.add(this)
+    this.renderRoute()
+  }
+
+  async onDisconnected() {
+    outlets.delete(this)
+  }
+
+  /**
+   * The number of outlets this outlet is nested in, across shadow roots
+   * @returns {number}
+   */
+  get depth() {
+    let depth = 0
+    /** @type {any} */ let node = this
+    while (node) {
+      node = node.parentNode || node.host
+      if (node instanceof RouterOutlet) depth++
+    }
+    return depth
+  }
+
+  /**
+   * Render the component of the current route at this outlet's depth, reusing it if the component hasn't changed
+   */
+  renderRoute() {
+    const match = current && current.matches[this.depth]
+    const routed = this._routed && this._routed.parentNode === this.el ? this._routed : null
+    if (!match || !match.route.component) {
+      if (routed) routed.remove()
+      this._routed = null
+      return
+    }
+
+    const tag = match.route.component.toLowerCase()
+    let el = routed && routed.localName === tag ? routed : null
+    const previous = el ? el._routeParams || {} : {}
+    if (!el) el = document.createElement(tag)
+
+    for (const key of Object.keys(previous)) {
+      if (!(key in match.params)) el.removeAttribute(key)
+    }
+    for (const [key, value] of Object.entries(match.params)) {
+      el.setAttribute(key, value)
+    }
+    el._routeParams = match.params
+
+    if (el !== routed) routed ? routed.replaceWith(el) : this.el.appendChild(el)
+    this._routed = el
+  }
+}
+
+/**
+ * A link that navigates with the router instead of loading the page
+ */
+export class RouterLink extends Component {
+  static name = 'maehem-link'
+
+  static events = { 'click #link': 'onClick' }
+
+  fields() {
+    return [{ name: 'href', kind: 'attr', default: '/' }]
+  }
+
+  render_href() {
+    this.$ID('link').setAttribute('href', Router.href(this.href))
+  }
+
+  onClick(e) {
+    if (e.defaultPrevented || e.button || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return
+    e.preventDefault()
+    Router.navigate(this.href)
+  }
+}
+
+Component.inline(RouterOutlet.name, { view: '', style: ':host { display: contents; }' })
+Component.inline(RouterLink.name, {
+  view: '<a id="link" part="link"><slot></slot></a>',
+  style: ':host { display: inline; }',
+})
+
+RouterOutlet.define()
+RouterLink.define()
@@ -0,0 +1,243 @@
+/**
+ * Renders components to HTML in Node, using a lightweight DOM shim. The output uses Declarative Shadow DOM,
+ * which `Component` hydrates on the client instead of rendering again.
+ */
+import fs from 'fs'
+import path from 'path'
+import { pathToFileURL } from 'url'
+import { parseHTML } from 'linkedom'
+
+/**
+ * Elements that have no closing tag
+ */
+const voidElements = new Set([
+  'area',
+  'base',
+  'br',
+  'col',
+  'embed',
+  'hr',
+  'img',
+  'input',
+  'link',
+  'meta',
+  'source',
+  'track',
+  'wbr',
+])
+
+/**
+ * Elements whose text content is not escaped
+ */
+const rawTextElements = new Set(['script', 'style'])
+
+/**
+ * The slots of light DOM components filled with their children, marked when serialized
+ * @type {WeakSet<Node>}
+ */
+const assignedSlots = new WeakSet()
+
+/**
+ * The directory the views and styles are read from, set for each render
+ * @type {string}
+ */
+let viewRoot = process.cwd()
+
+/**
+ * Extend the shim's event class to keep the `composed` flag, which it drops
+ * @param {any} EventClass - The event class of the shim
+ * @returns {any}
+ */
+function composable(EventClass) {
+  return class extends EventClass {
+    constructor(type, init = {}) {
+      super(type, init)
+      this.composed = !!init.composed
+    }
+  }
+}
+
+/**
+ * Let composed events propagate from shadow roots to their hosts, as they do in browsers, so components
+ * nested in shadow roots reach their boundaries and context providers
+ * @param {any} document - The document of the shim
+ */
+function composeShadowRoots(document) {
+  const shadowRoot = Object.getPrototypeOf(document.createElement('div').attachShadow({ mode: 'open' }))
+  let eventTarget = shadowRoot
+  while (!Object.prototype.hasOwnProperty.call(eventTarget, 'dispatchEvent')) {
+    eventTarget = Object.getPrototypeOf(eventTarget)
+  }
+
+  // The event path is built when the event is dispatched, so the flag only has to be set meanwhile
+  let composed = false
+  const dispatchEvent = eventTarget.dispatchEvent
+  eventTarget.dispatchEvent = function (event) {
+    const outer = composed
+    composed = !!event.composed
+    try {
+      return dispatchEvent.call(this, event)
+    } finally {
+      composed = outer
+    }
+  }
+  shadowRoot._getParent = function () {
+    return composed ? this.host : null
+  }
+}
+
+/**
+ * Install the DOM globals components need to run in Node. Globals that already exist are left untouched,
+ * and `fetch` reads component views from disk before falling back to the network.
+ */
+export function installShim() {
+  if (globalThis.__maehemShim) return
+  const { window, document } = parseHTML('<!doctype html><html><head></head><body></body></html>')
+  for (const key of ['window', 'document', 'customElements', 'HTMLElement', 'HTMLTemplateElement', 'Node']) {
+    if (globalThis[key] === undefined) globalThis[key] = key === 'window' ? window : window[key]
+  }
+  // Node has its own events, which the shim can't dispatch
+  globalThis.Event = composable(window.Event)
+  globalThis.CustomEvent = composable(window.CustomEvent)
+  composeShadowRoots(document)
+
+  const networkFetch = globalThis.fetch
+  globalThis.fetch = async (url, init) => {
+    const file = resolveView(String(url))
+    if (fs.existsSync(file)) {
+      const body = fs.readFileSync(file, 'utf8')
+      return { ok: true, status: 200, text: async () => body }
+    }
+    // Components without a view or style are answered like the dev server would, without reaching the network
+    if (isComponentAsset(String(url))) return { ok: false, status: 404, text: async () => '' }
+    return networkFetch(url, init)
+  }
+  globalThis.__maehemShim = true
+}
+
+/**
+ * Check whether the URL is the view or style of a component, which are always at `<name>/<name>.html` and
+ * `<name>/<name>.css`
+ * @param {string} url - The URL requested
+ * @returns {boolean}
+ */
+function isComponentAsset(url) {
+  return /(?:^|\/)([^/]+)\/\1\.(html|css)$/.test(url.split('?')[0])
+}
+
+/**
+ * Map a view or style URL to its file. Component URLs always end with `<name>/<name>.<ext>`, whatever
+ * `componentPath` is configured, so only those two segments are resolved against the view root.
+ * @param {string} url - The URL requested by the component
+ * @returns {string} The path of the file on disk
+ */
+function resolveView(url) {
+  const segments = url.split('?')[0].split('/').filter(Boolean)
+  return path.join(viewRoot, ...segments.slice(-2))
+}
+
+/**
+ * Render the component exported by the given module to HTML with Declarative Shadow DOM
+ * @param {string} modulePath - Path to the component module, the default export is the component class
+ * @param {Object.<string, string>} attrs - The attributes to render the component with
+ * @returns {Promise<string>} The markup for the component
+ */
+export async function render(modulePath, attrs = {}) {
+  installShim()
+  const absPath = path.resolve(modulePath)
+  viewRoot = path.dirname(path.dirname(absPath))
+
+  const { default: ComponentClass } = await import(pathToFileURL(absPath).href)
+  const el = new ComponentClass()
+  for (const [name, value] of Object.entries(attrs)) {
+    el.setAttribute(name, value)
+  }
+
+  const light = new Set()
+  await renderElement(el, light)
+  // Light DOM components add their styles to the head of the document, so they're rendered before the component
+  const globalStyles = Array.from(light).map((name) => el.ownerDocument.head.querySelector(`style[m-style="${name}"]`))
+  return globalStyles.filter(Boolean).map(serialize).join('') + serialize(el)
+}
+
+/**
+ * Initialize the component and every component nested in its view
+ * @param {any} el - The component to render
+ * @param {Set<string>} light - Collects the names of the components rendered into the light DOM
+ */
+async function renderElement(el, light) {
+  await el._initialize()
+  await el.updateComplete
+  if (el.el === el) light.add(el.localName)
+  for (const child of Array.from(el.el.querySelectorAll('*'))) {
+    /** @type {any} */ const node = child
+    if (typeof node._initialize === 'function' && !node.el) await renderElement(node, light)
+  }
+}
+
+/**
+ * Escape text for use in markup
+ * @param {string} text - The text to escape
+ * @param {boolean} attr - True to escape for an attribute value
+ * @returns {string}
+ */
+function escape(text, attr = false) {
+  const escaped = text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+  return attr ? escaped.replace(/"/g, '&quot;') : escaped
+}
+
+/**
+ * Serialize the node to markup, including the shadow roots of components as declarative templates
+ * @param {any} node - The node to serialize
+ * @returns {string}
+ */
+export function serialize(node) {
+  switch (node.nodeType) {
+    case 3:
+      return node.parentNode && rawTextElements.has(node.parentNode.localName) ? node.data : escape(node.data)
+    case 8:
+      return `<!--${node.data}-->`
+    case 11:
+      return serializeChildren(node)
+    case 1:
+      break
+    default:
+      return ''
+  }
+
+  const tag = node.localName
+  const light = !!node.el && node.el === node
+  // Light DOM components and the slots their children were moved into are marked, so the client takes the children
+  // back from the slots instead of slotting the rendered view
+  if (light) {
+    for (const child of node._slotted) {
+      if (child.parentNode && child.parentNode.localName === 'slot') assignedSlots.add(child.parentNode)
+    }
+  }
+  const marker = light ? ' m-rendered' : assignedSlots.has(node) ? ' m-assigned' : ''
+  const attrs =
+    Array.from(node.attributes)
+      .map((attr) => ` ${attr.name}="${escape(attr.value, true)}"`)
+      .join('') + marker
+  if (voidElements.has(tag)) return `<${tag}${attrs}>`
+
+  let inner = ''
+  // Components rendered into the light DOM are serialized with their children
+  const shadow = node.el && node.el !== node ? node.el : node.shadowRoot
+  if (shadow) {
+    const mode = shadow.mode || 'open'
+    const focus = shadow.delegatesFocus ? ' shadowrootdelegatesfocus' : ''
+    inner += `<template shadowroot="${mode}" shadowrootmode="${mode}"${focus}>${serializeChildren(shadow)}</template>`
+  }
+  inner += serializeChildren(tag === 'template' ? node.content : node)
+  return `<${tag}${attrs}>${inner}</${tag}>`
+}
+
+/**
+ * Serialize the children of the node
+ * @param {Node} node - The node whose children are serialized
+ * @returns {string}
+ */
+function serializeChildren(node) {
+  return Array.from(node.childNodes).map(serialize).join('')
+}
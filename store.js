@@ -0,0 +1,133 @@
+/**
+ * A reactive global store shared between components. Components declare store-backed fields with
+ * `{ name: 'user', kind: 'store', path: 'session.user' }`, using the field's `store` or the configured one.
+ *
+ * State is updated immutably, so a change at `session.user` also notifies subscribers of `session`,
+ * while subscribers of sibling paths are left alone.
+ */
+
+/**
+ * Function called with the new and old value when the subscribed value changes
+ * @callback storeListener
+ * @param {any} value - The new value
+ * @param {any} oldValue - The previous value
+ * @returns {void}
+ */
+
+/**
+ * @typedef {Object} Store
+ * @property {function(string=): any} get - Get the state, or the value at the dotted path
+ * @property {function(string|Object|function, any=): void} set - Set the value at the dotted path, merge an object into the state, or replace the state with the result of an updater function
+ * @property {function(string|function, storeListener): function} subscribe - Listen to changes of the value at the path or returned by the selector, returns the unsubscribe function
+ * @property {function(function): any} select - Get the value returned by the selector
+ * @property {function(function): any} batch - Run the function, notifying subscribers once after all of its changes
+ */
+
+/**
+ * Split a dotted path into its keys
+ * @param {string} path - The dotted path
+ * @returns {string[]}
+ */
+function toKeys(path) {
+  return path ? path.split('.') : []
+}
+
+/**
+ * Get the value at the keys of the object
+ * @param {any} obj - The object to read
+ * @param {string[]} keys - The keys to follow
+ * @returns {any}
+ */
+function getIn(obj, keys) {
+  return keys.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), obj)
+}
+
+/**
+ * Copy the object with the value at the keys replaced, sharing every untouched branch
+ * @param {any} obj - The object to copy
+ * @param {string[]} keys - The keys to follow
+ * @param {any} value - The value to set
+ * @returns {any}
+ */
+function setIn(obj, keys, value) {
+  if (!keys.length) return value
+  const [key, ...rest] = keys
+  const current = obj === null || obj === undefined ? {} : obj
+  const copy = Array.isArray(current) ? current.slice() : Object.assign({}, current)
+  copy[key] = setIn(current[key], rest, value)
+  return copy
+}
+
+/**
+ * Create a new store
+ * @param {Object} initial - The initial state
+ * @returns {Store}
+ */
+export function createStore(initial = {}) {
+  let state = initial
+  let batchDepth = 0
+  const listeners = new Set()
+
+  const notify = () => {
+    if (batchDepth) return
+    for (const entry of Array.from(listeners)) {
+      if (!listeners.has(entry)) continue
+      const value = entry.selector(state)
+      if (value === entry.value) continue
+      const oldValue = entry.value
+      entry.value = value
+      entry.listener(value, oldValue)
+    }
+  }
+
+  const toSelector = (pathOrSelector) => {
+    if (typeof pathOrSelector === 'function') return pathOrSelector
+    const keys = toKeys(pathOrSelector)
+    return (s) => getIn(s, keys)
+  }
+
+  return {
+    get(path = '') {
+      return getIn(state, toKeys(path))
+    },
+
+    set(path, value) {
+      let next
+      if (typeof path === 'function') {
+        next = path(state)
+      } else if (typeof path === 'object' && path !== null) {
+        next = Object.assign({}, state, path)
+      } else {
+        const keys = toKeys(path)
+        if (getIn(state, keys) === value) return
+        next = setIn(state, keys, value)
+      }
+      if (next === state) return
+      state = next
+      notify()
+    },
+
+    subscribe(pathOrSelector, listener) {
+      const selector = toSelector(pathOrSelector)
+      const entry = { selector, listener, value: selector(state) }
+      listeners.add(entry)
+      return () => {
+        listeners.delete(entry)
+      }
+    },
+
+    select(selector) {
+      return selector(state)
+    },
+
+    batch(fn) {
+      batchDepth++
+      try {
+        return fn()
+      } finally {
+        batchDepth--
+        notify()
+      }
+    },
+  }
+}
@@ -0,0 +1,531 @@
+/**
+ * Compiles the declarative bindings in component views and patches only the bound nodes when fields change.
+ *
+ * Supported syntax:
+ *   {{field}} - text interpolation
+ *   :name="field" - property binding, or attribute binding if the node has no such property
+ *   @event="method" - event binding, calls `method(event, locals)` on the component
+ *   <template m-if="field"> - render the template contents while the field is truthy
+ *   <template m-for="item, index in items" m-key="id"> - render the template contents for each item, keyed by `item.id`
+ *
+ * Expressions are dotted paths (`user.name`), optionally negated with `!`. Inside `m-for` the item and
+ * index names resolve before the component fields.
+ */
+
+const textBinding = /{{\s*(.+?)\s*}}/
+const forExpression = /^\s*(\w+)(?:\s*,\s*(\w+))?\s+in\s+(.+?)\s*$/
+
+/**
+ * A single binding found while compiling a view
+ * @typedef {Object} Binding
+ * @property {'text'|'prop'|'event'|'if'|'for'} type - The kind of binding
+ * @property {number[]} path - The child node indexes leading from the template root to the bound node
+ * @property {string} expr - The bound expression, or the method name for events
+ * @property {string} [name] - The property/attribute name for prop bindings, the event name for event bindings
+ * @property {CompiledTemplate} [template] - The compiled contents of `m-if` and `m-for` templates
+ * @property {string} [item] - The name of the loop item for `m-for`
+ * @property {string} [index] - The name of the loop index for `m-for`
+ * @property {string} [key] - The path on the loop item used as its key for `m-for`
+ */
+
+/**
+ * A view compiled once per component class
+ * @typedef {Object} CompiledTemplate
+ * @property {DocumentFragment} content - The markup with binding syntax removed, cloned for each instance
+ * @property {Binding[]} bindings - The bindings found in the markup
+ */
+
+/**
+ * Compile the given view markup
+ * @param {string} html - The view markup
+ * @returns {CompiledTemplate}
+ */
+export function compile(html) {
+  const template = document.createElement('template')
+  template.innerHTML = html
+  return compileContent(template.content)
+}
+
+/**
+ * Find and strip the bindings in the given fragment
+ * @param {DocumentFragment} content - The fragment to compile
+ * @returns {CompiledTemplate}
+ */
+function compileContent(content) {
+  const found = []
+
+  const visit = (node) => {
+    if (node.nodeType === 3) {
+      compileText(node, found)
+      return
+    }
+    if (node.nodeType !== 1) return
+
+    for (const attr of Array.from(node.attributes)) {
+      const prefix = attr.name.charAt(0)
+      if (prefix !== ':' && prefix !== '@') continue
+      found.push({
+        node,
+        binding: { type: prefix === ':' ? 'prop' : 'event', name: attr.name.slice(1), expr: attr.value.trim() },
+      })
+      node.removeAttribute(attr.name)
+    }
+
+    if (node.localName === 'template') {
+      if (node.hasAttribute('m-if')) {
+        found.push({
+          node: toAnchor(node),
+          binding: { type: 'if', expr: node.getAttribute('m-if').trim(), template: compileContent(node.content) },
+        })
+      } else if (node.hasAttribute('m-for')) {
+        const match = node.getAttribute('m-for').match(forExpression)
+        if (!match) {
+          console.error(`Invalid m-for expression ${node.getAttribute('m-for')}`)
+          return
+        }
+        const binding = {
+          type: 'for',
+          item: match[1],
+          index: match[2],
+          expr: match[3],
+          key: node.getAttribute('m-key'),
+          template: compileContent(node.content),
+        }
+        found.push({ node: toAnchor(node), binding })
+      }
+      return
+    }
+
+    if (node.localName === 'script' || node.localName === 'style') return
+    Array.from(node.childNodes).forEach(visit)
+  }
+
+  Array.from(content.childNodes).forEach(visit)
+
+  return {
+    content,
+    bindings: found.map(({ node, binding }) => Object.assign(binding, { path: pathTo(node, content) })),
+  }
+}
+
+/**
+ * Replace an `m-if` or `m-for` template with an empty one, marking where its contents are rendered. Its contents are
+ * compiled on their own, so they aren't cloned or rendered on the server with each view.
+ * @param {Element} node - The template
+ * @returns {Element} The empty template that replaced it
+ */
+function toAnchor(node) {
+  const anchor = node.ownerDocument.createElement('template')
+  for (const attr of Array.from(node.attributes)) {
+    if (!['m-if', 'm-for', 'm-key'].includes(attr.name)) anchor.setAttribute(attr.name, attr.value)
+  }
+  node.replaceWith(anchor)
+  return anchor
+}
+
+/**
+ * Split a text node containing `{{}}` interpolations into static and bound text nodes
+ * @param {Text} node - The text node
+ * @param {Object[]} found - The list bindings are added to
+ */
+function compileText(node, found) {
+  if (!textBinding.test(node.data)) return
+  const parts = node.data.split(new RegExp(textBinding.source, 'g'))
+  const nodes = []
+  parts.forEach((part, idx) => {
+    if (idx % 2) {
+      const text = node.ownerDocument.createTextNode('')
+      found.push({ node: text, binding: { type: 'text', expr: part } })
+      nodes.push(text)
+    } else if (part) {
+      nodes.push(node.ownerDocument.createTextNode(part))
+    }
+  })
+  node.replaceWith(...nodes)
+}
+
+/**
+ * Get the child node indexes leading from the root to the node
+ * @param {Node} node - The node to find
+ * @param {Node} root - The root to start from
+ * @returns {number[]}
+ */
+function pathTo(node, root) {
+  const path = []
+  while (node !== root) {
+    path.unshift(Array.prototype.indexOf.call(node.parentNode.childNodes, node))
+    node = node.parentNode
+  }
+  return path
+}
+
+/**
+ * Get the node at the child node indexes from the root
+ * @param {Node} root - The root to start from
+ * @param {number[]} path - The child node indexes leading to the node
+ * @returns {Node}
+ */
+function nodeAt(root, path) {
+  return path.reduce((node, idx) => node.childNodes[idx], root)
+}
+
+/**
+ * Get the text a bound value is rendered as
+ * @param {any} value - The bound value
+ * @returns {string}
+ */
+function toText(value) {
+  return value === null || value === undefined ? '' : String(value)
+}
+
+/**
+ * Get the value at the dotted path on the object
+ * @param {any} obj - The object to read from
+ * @param {string[]} keys - The path to read
+ * @returns {any}
+ */
+function getPath(obj, keys) {
+  return keys.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), obj)
+}
+
+/**
+ * Get the field an expression depends on
+ * @param {string} expr - The expression
+ * @returns {string}
+ */
+function rootOf(expr) {
+  return expr.replace(/^!/, '').trim().split('.')[0]
+}
+
+/**
+ * An instance of a compiled template bound to a component
+ */
+export class BoundView {
+  /**
+   * @param {CompiledTemplate} compiled - The compiled template to instantiate
+   * @param {HTMLElement} host - The component the expressions are evaluated against
+   * @param {Object.<string, any>} locals - The loop variables in scope
+   */
+  constructor(compiled, host, locals = {}) {
+    this.host = host
+    this.locals = locals
+    this.fragment = compiled.content.cloneNode(true)
+    const nodes = compiled.bindings.map((binding) => nodeAt(this.fragment, binding.path))
+    this.first = this.fragment.firstChild
+    this.end = this.fragment.ownerDocument.createComment('')
+    this.fragment.appendChild(this.end)
+    if (!this.first) this.first = this.end
+    this.parts = compiled.bindings.map((binding, idx) => createPart(binding, nodes[idx], this))
+  }
+
+  /**
+   * Bind the view to the nodes rendered from it on the server, keeping them. The nodes are matched by the compiled
+   * paths of the bindings, skipping the nodes that contain no bindings, and must have been rendered with the current
+   * values, the nodes of `m-if` and `m-for` blocks included.
+   * @param {CompiledTemplate} compiled - The compiled template the nodes were rendered from
+   * @param {HTMLElement} host - The component the expressions are evaluated against
+   * @param {Node|null} first - The first node rendered from the view
+   * @param {Object.<string, any>} locals - The loop variables in scope
+   * @returns {BoundView|null} The bound view, null if the nodes weren't rendered from the view with the current values
+   */
+  static hydrate(compiled, host, first, locals = {}) {
+    if (!first) return null
+    /** @type {BoundView} */ const view = Object.create(BoundView.prototype)
+    view.host = host
+    view.locals = locals
+    view.fragment = null
+
+    // The text and structural bindings by compiled node, and the compiled nodes containing bindings
+    const bound = new Map()
+    const containing = new Set()
+    for (const binding of compiled.bindings) {
+      let node = compiled.content
+      for (const idx of binding.path) {
+        containing.add(node)
+        node = node.childNodes[idx]
+      }
+      if (binding.type !== 'prop' && binding.type !== 'event') bound.set(node, binding)
+    }
+    const rendered = new Map()
+    const blocks = new Map()
+
+    // Match the children of the compiled node to the rendered nodes from `next`, returning the node after them
+    const match = (parent, next, renderedParent) => {
+      const children = Array.from(parent.childNodes)
+      for (let idx = 0; idx < children.length; idx++) {
+        const child = children[idx]
+        if (child.nodeType === 3) {
+          // Adjacent text nodes are rendered as one, split again by the length of each
+          const run = [child]
+          while (children[idx + 1] && children[idx + 1].nodeType === 3) run.push(children[++idx])
+          const texts = run.map((node) => (bound.has(node) ? toText(view.evaluate(bound.get(node).expr)) : node.data))
+          if (texts.join('') && (!next || next.nodeType !== 3 || next.data !== texts.join(''))) return undefined
+          const nodes = texts.map((text) => child.ownerDocument.createTextNode(text))
+          nodes.forEach((node, i) => {
+            renderedParent.insertBefore(node, next)
+            rendered.set(run[i], node)
+          })
+          if (texts.join('')) {
+            const text = next
+            next = next.nextSibling
+            text.remove()
+          }
+          continue
+        }
+
+        // Declarative shadow roots are attached by the parser, unless the markup was inserted as HTML
+        while (next && next.localName === 'template' && next.hasAttribute('shadowrootmode')) next = next.nextSibling
+        if (!next || next.nodeType !== child.nodeType || (child.nodeType === 1 && next.localName !== child.localName)) {
+          return undefined
+        }
+        rendered.set(child, next)
+        if (containing.has(child) && match(child, next.firstChild, next) !== null) return undefined
+        next = next.nextSibling
+
+        const binding = bound.get(child)
+        if (binding && binding.type === 'if' && view.evaluate(binding.expr)) {
+          const block = BoundView.hydrate(binding.template, host, next, view.locals)
+          if (!block) return undefined
+          blocks.set(binding, block)
+          next = block.end.nextSibling
+        } else if (binding && binding.type === 'for') {
+          const keyPath = binding.key ? binding.key.split('.') : null
+          const items = new Map()
+          for (const [idx, value] of Array.from(view.evaluate(binding.expr) || []).entries()) {
+            const locals = Object.assign({}, view.locals, { [binding.item]: value })
+            if (binding.index) locals[binding.index] = idx
+            const block = BoundView.hydrate(binding.template, host, next, locals)
+            if (!block) return undefined
+            items.set(keyPath ? getPath(value, keyPath) : idx, block)
+            next = block.end.nextSibling
+          }
+          blocks.set(binding, items)
+        }
+      }
+      return next
+    }
+
+    const end = match(compiled.content, first, first.parentNode)
+    if (!end || end.nodeType !== 8) return null
+    view.end = end
+    view.first = compiled.content.firstChild ? rendered.get(compiled.content.firstChild) : end
+    view.parts = compiled.bindings.map((binding) => {
+      const part = createPart(binding, rendered.get(nodeAt(compiled.content, binding.path)), view)
+      if (blocks.has(binding))
+        binding.type === 'if' ? (part.block = blocks.get(binding)) : (part.blocks = blocks.get(binding))
+      return part
+    })
+    return view
+  }
+
+  /**
+   * Evaluate the expression against the loop variables and then the component
+   * @param {string} expr - The expression
+   * @returns {any}
+   */
+  evaluate(expr) {
+    const negate = expr.startsWith('!')
+    const [root, ...rest] = (negate ? expr.slice(1) : expr).trim().split('.')
+    const value = getPath(root in this.locals ? this.locals[root] : this.host[root], rest)
+    return negate ? !value : value
+  }
+
+  /**
+   * Patch the nodes bound to the changed fields
+   * @param {Map<string, any>|Set<string>|null} changed - The changed field names, null to patch every node
+   */
+  update(changed = null) {
+    for (const part of this.parts) {
+      if (!changed || part.structural || changed.has(part.dep)) part.update(changed)
+    }
+  }
+
+  /**
+   * Replace the loop variables and patch the nodes if any of them changed
+   * @param {Object.<string, any>} locals - The new loop variables
+   * @param {Map<string, any>|Set<string>|null} changed - The changed field names
+   */
+  setLocals(locals, changed) {
+    const same = Object.keys(locals).every((k) => this.locals[k] === locals[k])
+    this.locals = locals
+    this.update(same ? changed : null)
+  }
+
+  /**
+   * Get every top level node of this view, including nodes rendered by nested blocks
+   * @returns {Node[]}
+   */
+  nodes() {
+    const nodes = []
+    for (let node = this.first; node; node = node.nextSibling) {
+      nodes.push(node)
+      if (node === this.end) break
+    }
+    return nodes
+  }
+
+  /**
+   * Move this view directly after the given node
+   * @param {Node} ref - The node to insert after
+   */
+  insertAfter(ref) {
+    ref.after(...this.nodes())
+  }
+
+  /**
+   * Remove this view from the DOM
+   */
+  remove() {
+    this.nodes().forEach((node) => node.remove())
+  }
+}
+
+/**
+ * Create the part that keeps a bound node up to date
+ * @param {Binding} binding - The binding to create the part for
+ * @param {Node} node - The bound node in the view
+ * @param {BoundView} view - The view the node belongs to
+ */
+function createPart(binding, node, view) {
+  switch (binding.type) {
+    case 'text':
+      return new TextPart(binding, node, view)
+    case 'prop':
+      return new PropPart(binding, node, view)
+    case 'event':
+      node.addEventListener(binding.name, (e) => view.host[binding.expr](e, view.locals))
+      return { dep: null, update() {} }
+    case 'if':
+      return new IfPart(binding, node, view)
+    case 'for':
+      return new ForPart(binding, node, view)
+  }
+}
+
+/**
+ * Keeps a text node in sync with its `{{}}` expression
+ */
+class TextPart {
+  constructor(binding, node, view) {
+    this.expr = binding.expr
+    this.dep = rootOf(binding.expr)
+    this.node = node
+    this.view = view
+  }
+
+  update() {
+    const text = toText(this.view.evaluate(this.expr))
+    if (this.node.data !== text) this.node.data = text
+  }
+}
+
+/**
+ * Keeps a property, or attribute if the node has no such property, in sync with its `:name` expression
+ */
+class PropPart {
+  constructor(binding, node, view) {
+    this.name = binding.name
+    this.expr = binding.expr
+    this.dep = rootOf(binding.expr)
+    this.node = node
+    this.view = view
+    this.value = undefined
+    this.initialized = false
+  }
+
+  update() {
+    const value = this.view.evaluate(this.expr)
+    if (this.initialized && value === this.value) return
+    this.initialized = true
+    this.value = value
+
+    if (this.name in this.node) {
+      this.node[this.name] = value
+    } else if (value === false || value === null || value === undefined) {
+      this.node.removeAttribute(this.name)
+    } else {
+      this.node.setAttribute(this.name, value === true ? '' : value)
+    }
+  }
+}
+
+/**
+ * Renders the contents of an `m-if` template after it while the expression is truthy
+ */
+class IfPart {
+  constructor(binding, node, view) {
+    this.structural = true
+    this.binding = binding
+    this.dep = rootOf(binding.expr)
+    this.anchor = node
+    this.view = view
+    this.block = null
+  }
+
+  update(changed) {
+    const show = !!this.view.evaluate(this.binding.expr)
+    if (show && !this.block) {
+      this.block = new BoundView(this.binding.template, this.view.host, this.view.locals)
+      this.block.update()
+      this.block.insertAfter(this.anchor)
+    } else if (!show && this.block) {
+      this.block.remove()
+      this.block = null
+    } else if (this.block) {
+      this.block.setLocals(this.view.locals, changed)
+    }
+  }
+}
+
+/**
+ * Renders the contents of an `m-for` template after it once for each item, reusing the rendered nodes by key
+ */
+class ForPart {
+  constructor(binding, node, view) {
+    this.structural = true
+    this.binding = binding
+    this.dep = rootOf(binding.expr)
+    this.anchor = node
+    this.view = view
+    this.keyPath = binding.key ? binding.key.split('.') : null
+    /** @type {Map<any, BoundView>} */
+    this.blocks = new Map()
+  }
+
+  update(changed) {
+    const { item, index, template } = this.binding
+    const items = Array.from(this.view.evaluate(this.binding.expr) || [])
+    const blocks = new Map()
+
+    items.forEach((value, idx) => {
+      const key = this.keyPath ? getPath(value, this.keyPath) : idx
+      if (blocks.has(key)) {
+        console.error(`Duplicate m-for key ${key} in ${this.binding.expr}`)
+        return
+      }
+
+      const locals = Object.assign({}, this.view.locals, { [item]: value })
+      if (index) locals[index] = idx
+
+      let block = this.blocks.get(key)
+      if (block) {
+        block.setLocals(locals, changed)
+      } else {
+        block = new BoundView(template, this.view.host, locals)
+        block.update()
+      }
+      blocks.set(key, block)
+    })
+
+    for (const [key, block] of this.blocks) {
+      if (blocks.get(key) !== block) block.remove()
+    }
+
+    let ref = this.anchor
+    for (const block of blocks.values()) {
+      if (ref.nextSibling !== block.first) block.insertAfter(ref)
+      ref = block.end
+    }
+    this.blocks = blocks
+  }
+}
@@ -0,0 +1,16 @@
+import Component from '__IMPORT__'
+
+export default class __CLASS_NAME__ extends Component {
+  static name = '__NAME__'
+
+  fields() {
+    return [__FIELDS__]
+  }
+
+  async onConnected() {
+    return
+  }
+  __HOOKS__
+}
+
+__CLASS_NAME__.define()
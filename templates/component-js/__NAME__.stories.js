@@ -0,0 +1,3 @@
+export default {
+  Default: __STORY__,
+}
@@ -0,0 +1,19 @@
+import { test, afterEach } from 'node:test'
+import assert from 'node:assert'
+import { fixture, query, cleanup } from 'maehem/testing'
+import __CLASS_NAME__ from './__NAME__.js'
+
+afterEach(cleanup)
+
+test('__NAME__ renders its view without errors', async () => {
+  const errors: Error[] = []
+  const onError = (e: Event) => errors.push((e as CustomEvent).detail.error)
+  document.addEventListener('maehem-error', onError)
+  try {
+    const el = await fixture(__CLASS_NAME__)
+    assert.ok(query(el, '#items'))
+    assert.deepStrictEqual(errors, [])
+  } finally {
+    document.removeEventListener('maehem-error', onError)
+  }
+})
@@ -0,0 +1,17 @@
+import Component, { Field } from 'maehem'
+
+export default class __CLASS_NAME__ extends Component {
+  __DECLARATIONS__
+  fields(): Field[] {
+    return [__FIELDS__]
+  }
+
+  async onConnected(): Promise<void> {
+    return
+  }
+  __HOOKS__
+}
+
+// TypeScript doesn't allow declaring a static `name`, which is the tag name of the component
+Object.defineProperty(__CLASS_NAME__, 'name', { value: '__NAME__' })
+__CLASS_NAME__.define()
@@ -0,0 +1,53 @@
+import { test, afterEach } from 'node:test'
+import assert from 'node:assert'
+import Component from '../index.js'
+import { fixture, registerView, spyEvent, query, cleanup } from '../testing.js'
+
+afterEach(cleanup)
+
+class BatchedUpdates extends Component {
+  static name = 'batched-updates'
+
+  fields() {
+    return [
+      { name: 'a', default: 0 },
+      { name: 'b', default: 0 },
+    ]
+  }
+
+  shouldUpdate(changedFields) {
+    this.updates = (this.updates || []).concat([Array.from(changedFields.keys())])
+    return true
+  }
+}
+
+test('changes made together are rendered in one update', async () => {
+  registerView('batched-updates', { view: '<span>{{a}} {{b}}</span>' })
+  const el = await fixture(BatchedUpdates)
+  const changes = spyEvent(el, 'change')
+  el.a = 1
+  el.a = 2
+  el.b = 1
+  assert.equal(query(el, 'span').textContent, '0 0')
+
+  await el.updateComplete
+  assert.deepStrictEqual(el.updates, [['a', 'b']])
+  assert.equal(query(el, 'span').textContent, '2 1')
+  assert.deepStrictEqual(
+    changes.calls.map(({ prop, oldValue, newValue }) => [prop, oldValue, newValue]),
+    [
+      ['a', 0, 2],
+      ['b', 0, 1],
+    ]
+  )
+})
+
+test('fields changed back before the update are not changed', async () => {
+  registerView('batched-updates', { view: '<span>{{a}}</span>' })
+  const el = await fixture(BatchedUpdates)
+  const changes = spyEvent(el, 'a_change')
+  el.a = 1
+  el.a = 0
+  await el.updateComplete
+  assert.equal(changes.count, 0)
+})
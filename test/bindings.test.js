@@ -0,0 +1,77 @@
+import { test, afterEach } from 'node:test'
+import assert from 'node:assert'
+import Component from '../index.js'
+import { fixture, registerView, setFields, query, queryAll, cleanup } from '../testing.js'
+
+afterEach(cleanup)
+
+class TodoList extends Component {
+  static name = 'todo-list'
+
+  fields() {
+    return [
+      { name: 'title', default: 'Todo' },
+      { name: 'busy', default: false },
+      { name: 'empty', default: false },
+      {
+        name: 'items',
+        default: [
+          { id: 1, text: 'one' },
+          { id: 2, text: 'two' },
+        ],
+      },
+    ]
+  }
+
+  drop(e, { item }) {
+    this.items = this.items.filter((i) => i !== item)
+  }
+}
+
+const todoView = `
+  <h1>{{title}}</h1>
+  <button :disabled="busy">Save</button>
+  <template m-if="empty"><p>Nothing to do</p></template>
+  <ul>
+    <template m-for="item, idx in items" m-key="id"><li @click="drop">{{idx}}: {{item.text}}</li></template>
+  </ul>
+`
+
+test('bindings patch text, properties and conditional blocks', async () => {
+  registerView('todo-list', { view: todoView })
+  const el = await fixture(TodoList)
+  assert.equal(query(el, 'h1').textContent, 'Todo')
+  assert.equal(query(el, 'button').disabled, false)
+  assert.equal(query(el, 'p'), null)
+
+  await setFields(el, { title: 'Done', busy: true, empty: true })
+  assert.equal(query(el, 'h1').textContent, 'Done')
+  assert.equal(query(el, 'button').disabled, true)
+  assert.equal(query(el, 'p').textContent, 'Nothing to do')
+})
+
+test('keyed lists reuse the nodes of their items and bind their events', async () => {
+  registerView('todo-list', { view: todoView })
+  const el = await fixture(TodoList)
+  const [one, two] = queryAll(el, 'li')
+  assert.deepStrictEqual(
+    queryAll(el, 'li').map((li) => li.textContent),
+    ['0: one', '1: two']
+  )
+
+  await setFields(el, { items: [el.items[1], { id: 3, text: 'three' }, el.items[0]] })
+  const lis = queryAll(el, 'li')
+  assert.deepStrictEqual(
+    lis.map((li) => li.textContent),
+    ['0: two', '1: three', '2: one']
+  )
+  assert.strictEqual(lis[0], two)
+  assert.strictEqual(lis[2], one)
+
+  lis[1].dispatchEvent(new Event('click'))
+  await el.updateComplete
+  assert.deepStrictEqual(
+    el.items.map((i) => i.id),
+    [2, 1]
+  )
+})
@@ -0,0 +1,44 @@
+import { test, after } from 'node:test'
+import assert from 'node:assert'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { buildComponents, CommandError, exitCodes } from '../commands.mjs'
+
+const fixtures = fileURLToPath(new URL('./fixtures', import.meta.url))
+const out = fs.mkdtempSync(path.join(os.tmpdir(), 'maehem-build-'))
+
+after(() => fs.rmSync(out, { recursive: true, force: true }))
+
+test('every component is bundled with its view and style inlined, and listed in the manifest', async () => {
+  const manifest = await buildComponents({ src: fixtures, out })
+  assert.deepStrictEqual(Object.keys(manifest).sort(), ['ssr-badge', 'ssr-greeting', 'ssr-panel'])
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(out, 'manifest.json'), 'utf8')), manifest)
+
+  const { file, imports, view, style } = manifest['ssr-greeting']
+  assert.equal(file, 'ssr-greeting.js')
+  assert.ok(imports.includes('ssr-badge.js'))
+  assert.deepStrictEqual([view, style], [true, true])
+  assert.deepStrictEqual([manifest['ssr-badge'].view, manifest['ssr-badge'].style], [true, false])
+
+  const bundle = fs.readFileSync(path.join(out, file), 'utf8')
+  assert.ok(bundle.includes('Component.inline("ssr-greeting"'))
+  assert.ok(bundle.includes('<h1>Hello {{name}}</h1>'))
+  assert.ok(bundle.includes('color: red;'))
+  // The runtime is shared by the bundles rather than copied into each
+  assert.ok(!bundle.includes('class Component'))
+})
+
+test('missing or empty source paths fail the build', async () => {
+  await assert.rejects(
+    buildComponents({ src: path.join(fixtures, 'nowhere'), out }),
+    (ex) => ex instanceof CommandError && ex.code === exitCodes.notFound
+  )
+  const empty = fs.mkdtempSync(path.join(os.tmpdir(), 'maehem-empty-'))
+  try {
+    await assert.rejects(buildComponents({ src: empty, out }), /No components found/)
+  } finally {
+    fs.rmSync(empty, { recursive: true, force: true })
+  }
+})
@@ -0,0 +1,69 @@
+import { test } from 'node:test'
+import assert from 'node:assert'
+import { execFile } from 'child_process'
+import { fileURLToPath } from 'url'
+import { run, exitCodes } from '../commands.mjs'
+
+const bin = fileURLToPath(new URL('../commands.mjs', import.meta.url))
+
+/**
+ * Run the maehem binary in this process, collecting what it prints
+ * @param {string[]} argv - The arguments, starting with the command
+ * @returns {Promise<{code: number, out: string, err: string}>} The exit code and the printed output and errors
+ */
+async function maehem(...argv) {
+  const printed = { out: [], err: [] }
+  const { log, error } = console
+  console.log = (...args) => printed.out.push(args.join(' '))
+  console.error = (...args) => printed.err.push(args.join(' '))
+  try {
+    const code = await run(argv)
+    return { code, out: printed.out.join('\n'), err: printed.err.join('\n') }
+  } finally {
+    Object.assign(console, { log, error })
+  }
+}
+
+test('help and the version exit with ok', async () => {
+  const { code, out } = await maehem('--version')
+  assert.equal(code, exitCodes.ok)
+  assert.match(out, /^\d+\.\d+\.\d+$/)
+
+  const help = await maehem('build', '--help')
+  assert.equal(help.code, exitCodes.ok)
+  assert.match(help.out, /maehem build \[SRC\] OUT/)
+})
+
+test('typos in commands and options are answered with the closest match', async () => {
+  const command = await maehem('biuld', './dist')
+  assert.equal(command.code, exitCodes.usage)
+  assert.match(command.err, /Unknown command biuld, did you mean build\?/)
+  assert.match(command.err, /Run 'maehem --help' for usage/)
+
+  const option = await maehem('build', './dist', '--mdoe', 'staging')
+  assert.equal(option.code, exitCodes.usage)
+  assert.match(option.err, /Unknown option --mdoe, did you mean --mode\?/)
+  assert.match(option.err, /Run 'maehem build --help' for usage/)
+
+  const unlike = await maehem('xyzzy')
+  assert.equal(unlike.err.split('\n')[0], 'Unknown command xyzzy')
+})
+
+test('failures exit with the code documented for them', async () => {
+  assert.equal((await maehem()).code, exitCodes.usage)
+  assert.equal((await maehem('build')).code, exitCodes.usage)
+  assert.equal((await maehem('serve', 'index.html', 'extra')).code, exitCodes.usage)
+  assert.equal((await maehem('build', './dist', '--config', 'nowhere.mjs')).code, exitCodes.notFound)
+  assert.equal((await maehem('new', './components', 'nodash')).code, exitCodes.invalid)
+  assert.equal((await maehem('render', './nowhere', 'my-component')).code, exitCodes.notFound)
+})
+
+test('the binary exits with the code of the command', async () => {
+  const { code, stderr } = await new Promise((resolve) =>
+    execFile(process.execPath, [bin, 'biuld'], { timeout: 30000 }, (ex, stdout, stderr) =>
+      resolve({ code: ex ? ex.code : 0, stderr })
+    )
+  )
+  assert.equal(code, exitCodes.usage)
+  assert.match(stderr, /did you mean build\?/)
+})
@@ -0,0 +1,41 @@
+import { test, afterEach } from 'node:test'
+import assert from 'node:assert'
+import Component from '../index.js'
+import { fixture, registerView, setFields, query, cleanup } from '../testing.js'
+
+afterEach(cleanup)
+
+class CoercedFields extends Component {
+  static name = 'coerced-fields'
+
+  fields() {
+    return [
+      { name: 'count', kind: 'attr', type: Number },
+      { name: 'open', kind: 'attr', type: Boolean },
+      { name: 'tags', kind: 'attr', type: Array },
+    ]
+  }
+}
+
+test('attributes are coerced to the types of their fields', async () => {
+  registerView('coerced-fields', { view: '<span>{{count}}</span>' })
+  const el = await fixture(CoercedFields, { count: '3', open: '', tags: '["a","b"]' })
+  assert.strictEqual(el.count, 3)
+  assert.strictEqual(el.open, true)
+  assert.deepStrictEqual(el.tags, ['a', 'b'])
+  assert.equal(query(el, 'span').textContent, '3')
+})
+
+test('fields are reflected to their attributes and attribute changes set them', async () => {
+  registerView('coerced-fields', { view: '<span>{{count}}</span>' })
+  const el = await fixture(CoercedFields, { count: '3' })
+  await setFields(el, { count: 4, open: false, tags: ['c'] })
+  assert.equal(el.getAttribute('count'), '4')
+  assert.equal(el.hasAttribute('open'), false)
+  assert.equal(el.getAttribute('tags'), '["c"]')
+
+  el.setAttribute('count', '5')
+  await el.updateComplete
+  assert.strictEqual(el.count, 5)
+  assert.equal(query(el, 'span').textContent, '5')
+})
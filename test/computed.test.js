@@ -0,0 +1,77 @@
+import { test, afterEach } from 'node:test'
+import assert from 'node:assert'
+import Component from '../index.js'
+import { fixture, registerView, setFields, spyEvent, query, cleanup } from '../testing.js'
+
+afterEach(cleanup)
+
+class ComputedFields extends Component {
+  static name = 'computed-fields'
+
+  fields() {
+    return [
+      { name: 'first', default: 'Ada' },
+      { name: 'last', default: 'Lovelace' },
+      { name: 'full', kind: 'computed', get: (el) => `${el.first} ${el.last}` },
+    ]
+  }
+}
+
+test('computed fields are cached until a field they read changes', async () => {
+  registerView('computed-fields', { view: '<span>{{full}}</span>' })
+  const el = await fixture(ComputedFields)
+  assert.equal(el.full, 'Ada Lovelace')
+  assert.equal(query(el, 'span').textContent, 'Ada Lovelace')
+
+  const changes = spyEvent(el, 'full_change')
+  await setFields(el, { last: 'Byron' })
+  assert.equal(query(el, 'span').textContent, 'Ada Byron')
+  assert.deepStrictEqual(
+    changes.calls.map(({ oldValue, newValue }) => [oldValue, newValue]),
+    [['Ada Lovelace', 'Ada Byron']]
+  )
+  assert.throws(() => (el.full = 'x'))
+})
+
+test('computed fields that are never read still change with their dependencies', async () => {
+  registerView('computed-fields', { view: '<span>{{first}}</span>' })
+  const el = await fixture(ComputedFields)
+  const seen = []
+  el.watch('full', ([full]) => seen.push(full))
+  await setFields(el, { first: 'Augusta' })
+  assert.deepStrictEqual(seen, ['Augusta Lovelace'])
+})
+
+class PendingCount extends Component {
+  static name = 'pending-count'
+
+  fields() {
+    return [
+      { name: 'items', default: { loading: true } },
+      { name: 'count', kind: 'computed', get: (el) => el.items.data.length },
+    ]
+  }
+}
+
+test('computed fields reading data that is not there yet are evaluated once it is', async () => {
+  registerView('pending-count', { view: '<template m-if="!items.loading"><b>{{count}}</b></template>' })
+  const el = await fixture(PendingCount)
+  assert.equal(el._error, undefined)
+  assert.throws(() => el.count, TypeError)
+
+  const changes = spyEvent(el, 'count_change')
+  await setFields(el, { items: { loading: false, data: ['a', 'b'] } })
+  assert.equal(query(el, 'b').textContent, '2')
+  assert.equal(changes.last.newValue, 2)
+})
+
+test('computed fields that throw while updating are handled as update errors', async () => {
+  registerView('pending-count', { view: '<b>{{items.loading}}</b>' })
+  const el = await fixture(PendingCount, {}, { defaults: { items: { loading: false, data: [] } } })
+  const errors = spyEvent(el, 'maehem-error')
+  el.addEventListener('maehem-error', (e) => e.preventDefault())
+  await setFields(el, { items: { loading: true } })
+  assert.equal(errors.count, 1)
+  assert.equal(errors.last.phase, 'update')
+  assert.ok(errors.last.error instanceof TypeError)
+})
@@ -0,0 +1,40 @@
+import { test, afterEach } from 'node:test'
+import assert from 'node:assert'
+import Component from '../index.js'
+import { fixture, registerView, query, cleanup } from '../testing.js'
+
+afterEach(cleanup)
+
+const themeKey = Symbol('theme')
+
+class ThemeProvider extends Component {
+  static name = 'theme-provider'
+
+  async onFirstConnected() {
+    this.provide(themeKey, 'dark')
+  }
+}
+
+class ThemeConsumer extends Component {
+  static name = 'theme-consumer'
+
+  fields() {
+    return [{ name: 'theme', kind: 'context', key: themeKey, default: 'none' }]
+  }
+}
+
+test('context fields take the value provided by their nearest ancestor and follow its changes', async () => {
+  registerView('theme-provider', { view: '<slot></slot>' })
+  registerView('theme-consumer', { view: '<span>{{theme}}</span>' })
+  ThemeConsumer.define()
+  const provider = await fixture(ThemeProvider, {}, { children: '<theme-consumer></theme-consumer>' })
+  const consumer = provider.querySelector('theme-consumer')
+  await consumer._connected
+  await consumer.updateComplete
+  assert.equal(consumer.theme, 'dark')
+
+  provider.provide(themeKey, 'light')
+  await consumer.updateComplete
+  assert.equal(consumer.theme, 'light')
+  assert.equal(query(consumer, 'span').textContent, 'light')
+})
@@ -0,0 +1,65 @@
+import { test, afterEach } from 'node:test'
+import assert from 'node:assert'
+import Component from '../index.js'
+import { Boundary } from '../boundary.js'
+import { fixture, registerView, query, cleanup } from '../testing.js'
+
+afterEach(cleanup)
+
+class RequiredField extends Component {
+  static name = 'required-field'
+
+  fields() {
+    return [{ name: 'who', kind: 'attr', required: true }]
+  }
+}
+
+test('components that failed to initialize show their error fallback and can be retried', async () => {
+  registerView('required-field', { view: '<span>{{who}}</span>' })
+  const el = await fixture(RequiredField, {}, { children: '<template id="error"><p data-error></p></template>' })
+  el.addEventListener('maehem-error', (e) => e.preventDefault())
+  assert.match(query(el, 'p').textContent, /who is required/)
+
+  el.setAttribute('who', 'world')
+  await el.retry()
+  assert.equal(query(el, 'span').textContent, 'world')
+})
+
+let broken = true
+
+class FlakyWidget extends Component {
+  static name = 'flaky-widget'
+
+  async onConnected() {
+    if (broken) throw new Error('widget broke')
+  }
+}
+
+test('boundaries catch the errors of nested components, show them and retry them', async () => {
+  registerView('flaky-widget', { view: '<b>ok</b>' })
+  FlakyWidget.define()
+  const errors = []
+  const listener = (e) => errors.push(e.detail.error)
+  document.addEventListener('maehem-error', listener)
+  try {
+    const boundary = await fixture(Boundary, {}, { children: '<flaky-widget></flaky-widget>' })
+    const widget = boundary.querySelector('flaky-widget')
+    await widget._connected
+    assert.equal(query(boundary, '#message').textContent, 'widget broke')
+    assert.equal(query(boundary, '#content').hidden, true)
+    assert.equal(query(boundary, '#error').hidden, false)
+    // Caught by the boundary, so it doesn't reach the document
+    assert.deepStrictEqual(errors, [])
+
+    broken = false
+    query(boundary, '#retry').dispatchEvent(new Event('click', { bubbles: true }))
+    await widget._connected
+    await widget.updateComplete
+    assert.equal(query(widget, 'b').textContent, 'ok')
+    assert.equal(query(boundary, '#content').hidden, false)
+    assert.equal(query(boundary, '#error').hidden, true)
+  } finally {
+    document.removeEventListener('maehem-error', listener)
+    broken = true
+  }
+})
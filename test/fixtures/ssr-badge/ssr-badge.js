@@ -0,0 +1,11 @@
+import Component from '../../../index.js'
+
+export default class SsrBadge extends Component {
+  static name = 'ssr-badge'
+
+  fields() {
+    return [{ name: 'title', default: 'new' }]
+  }
+}
+
+SsrBadge.define()
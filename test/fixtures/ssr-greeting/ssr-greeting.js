@@ -0,0 +1,30 @@
+import Component from '../../../index.js'
+import '../ssr-badge/ssr-badge.js'
+
+export default class SsrGreeting extends Component {
+  static name = 'ssr-greeting'
+
+  static styles = [':host { display: block; }']
+
+  static events = { 'click #more': 'more' }
+
+  fields() {
+    return [
+      { name: 'name', kind: 'attr', default: 'world' },
+      { name: 'count', default: 0 },
+      {
+        name: 'items',
+        default: [
+          { id: 1, text: 'one' },
+          { id: 2, text: 'two' },
+        ],
+      },
+    ]
+  }
+
+  more() {
+    this.count++
+  }
+}
+
+SsrGreeting.define()
@@ -0,0 +1,9 @@
+import Component from '../../../index.js'
+
+export default class SsrPanel extends Component {
+  static name = 'ssr-panel'
+
+  static shadow = false
+}
+
+SsrPanel.define()
@@ -0,0 +1,105 @@
+import { test, afterEach } from 'node:test'
+import assert from 'node:assert'
+import Component from '../index.js'
+import { fixture, registerView, setFields, query, cleanup } from '../testing.js'
+
+afterEach(cleanup)
+
+/**
+ * The ElementInternals of form associated components, which the DOM shim doesn't have
+ */
+class MemoryInternals {
+  constructor() {
+    this.value = null
+    this.flags = {}
+    this.validationMessage = ''
+  }
+
+  setFormValue(value) {
+    this.value = value
+  }
+
+  setValidity(flags, message = '') {
+    this.flags = flags
+    this.validationMessage = message
+  }
+
+  get validity() {
+    return Object.assign({ valid: !Object.values(this.flags).some(Boolean) }, this.flags)
+  }
+
+  checkValidity() {
+    return this.validity.valid
+  }
+}
+
+class ZipInput extends Component {
+  static name = 'zip-input'
+
+  static formAssociated = true
+
+  attachInternals() {
+    return (this.internals = new MemoryInternals())
+  }
+
+  fields() {
+    return [
+      {
+        name: 'value',
+        default: '',
+        required: true,
+        pattern: '\\d{5}',
+        validators: [async (value) => (value === '00000' ? 'No such zip code' : null)],
+        messages: { pattern: 'Enter 5 digits' },
+      },
+    ]
+  }
+}
+
+/**
+ * Set the value of the component and wait for its validators
+ * @param {any} el - The component
+ * @param {string} value - The value to set
+ */
+async function enter(el, value) {
+  await setFields(el, { value })
+  await new Promise((resolve) => setTimeout(resolve))
+}
+
+test('the form field is submitted and validated against its validators', async () => {
+  registerView('zip-input', { view: '<span>{{value}}</span>' })
+  const el = await fixture(ZipInput)
+  await new Promise((resolve) => setTimeout(resolve))
+  assert.equal(el.checkValidity(), false)
+  assert.equal(el.validity.valueMissing, true)
+  assert.equal(el.validationMessage, 'Please fill out this field.')
+
+  await enter(el, '12a')
+  assert.equal(el.internals.value, '12a')
+  assert.equal(el.validity.patternMismatch, true)
+  assert.equal(el.validationMessage, 'Enter 5 digits')
+
+  await enter(el, '00000')
+  assert.equal(el.validity.customError, true)
+  assert.equal(el.validationMessage, 'No such zip code')
+
+  await enter(el, '12345')
+  assert.equal(el.checkValidity(), true)
+  assert.equal(el.validationMessage, '')
+})
+
+test('resetting the form sets the form field back to its initial value', async () => {
+  registerView('zip-input', { view: '<span>{{value}}</span>' })
+  const el = await fixture(ZipInput, {}, { defaults: { value: '10001' } })
+  await enter(el, '12345')
+
+  await el.formResetCallback()
+  await el.updateComplete
+  assert.equal(el.value, '10001')
+  assert.equal(el.internals.value, '10001')
+  assert.equal(query(el, 'span').textContent, '10001')
+
+  await el.formStateRestoreCallback('54321')
+  await el.updateComplete
+  assert.equal(query(el, 'span').textContent, '54321')
+})
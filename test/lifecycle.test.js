@@ -0,0 +1,50 @@
+import { test, afterEach } from 'node:test'
+import assert from 'node:assert'
+import Component from '../index.js'
+import { fixture, registerView, query, cleanup } from '../testing.js'
+
+afterEach(cleanup)
+
+class TrackedHooks extends Component {
+  static name = 'tracked-hooks'
+
+  calls = []
+
+  fields() {
+    return [{ name: 'label', default: 'hi' }]
+  }
+
+  async onFirstConnected() {
+    this.calls.push('first')
+  }
+
+  async onConnected() {
+    this.calls.push('connected')
+    this.signal = this.lifecycleSignal
+  }
+
+  async onDisconnected() {
+    this.calls.push('disconnected')
+  }
+}
+
+test('components are initialized once and run their hooks on every connection', async () => {
+  registerView('tracked-hooks', { view: '<span>{{label}}</span>' })
+  const el = await fixture(TrackedHooks, {}, { defaults: { label: 'hello' } })
+  assert.deepStrictEqual(el.calls, ['first', 'connected'])
+  assert.equal(query(el, 'span').textContent, 'hello')
+
+  const span = query(el, 'span')
+  const first = el.signal
+  const parent = el.parentNode
+  el.remove()
+  await el._disconnected
+  assert.equal(first.aborted, true)
+
+  parent.appendChild(el)
+  await el._connected
+  assert.strictEqual(query(el, 'span'), span)
+  assert.equal(el.signal.aborted, false)
+  assert.notStrictEqual(el.signal, first)
+  assert.deepStrictEqual(el.calls, ['first', 'connected', 'disconnected', 'connected'])
+})
@@ -0,0 +1,39 @@
+import { test, afterEach } from 'node:test'
+import assert from 'node:assert'
+import Component from '../index.js'
+import { fixture, registerView, setFields, queryAll, cleanup } from '../testing.js'
+
+afterEach(cleanup)
+
+class BuiltList extends Component {
+  static name = 'built-list'
+
+  fields() {
+    return [{ name: 'items', default: ['a', 'b'] }]
+  }
+
+  render_items() {
+    return this.$ID('list').$list(
+      this.items,
+      (item) => item,
+      'item',
+      (node, item) => (node.textContent = item)
+    )
+  }
+}
+
+test('$list builds an element for each key and reuses them when the items change', async () => {
+  registerView('built-list', { view: '<ul id="list"></ul><template id="item"><li></li></template>' })
+  const el = await fixture(BuiltList)
+  const [a, b] = queryAll(el, 'li')
+  assert.deepStrictEqual([a.textContent, b.textContent], ['a', 'b'])
+
+  await setFields(el, { items: ['b', 'c', 'a'] })
+  const lis = queryAll(el, 'li')
+  assert.deepStrictEqual(
+    lis.map((li) => li.textContent),
+    ['b', 'c', 'a']
+  )
+  assert.strictEqual(lis[0], b)
+  assert.strictEqual(lis[2], a)
+})
@@ -0,0 +1,51 @@
+import { test, afterEach } from 'node:test'
+import assert from 'node:assert'
+import Component from '../index.js'
+import { fixture, registerView, setFields, cleanup } from '../testing.js'
+
+afterEach(cleanup)
+
+/**
+ * A localStorage kept in memory, since the DOM shim has none
+ */
+class MemoryStorage {
+  constructor() {
+    this.items = new Map()
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value))
+  }
+
+  removeItem(key) {
+    this.items.delete(key)
+  }
+}
+
+class PersistedFields extends Component {
+  static name = 'persisted-fields'
+
+  fields() {
+    return [{ name: 'theme', default: 'light', persist: 'local' }]
+  }
+}
+
+test('persisted fields are restored from and written to their storage', async () => {
+  const storage = new MemoryStorage()
+  window.localStorage = storage
+  try {
+    registerView('persisted-fields', { view: '<span>{{theme}}</span>' })
+    storage.setItem('persisted-fields.theme', JSON.stringify({ version: 0, value: '"dark"' }))
+    const el = await fixture(PersistedFields)
+    assert.equal(el.theme, 'dark')
+
+    await setFields(el, { theme: 'sepia' })
+    assert.deepStrictEqual(JSON.parse(storage.getItem('persisted-fields.theme')), { version: 0, value: '"sepia"' })
+  } finally {
+    delete window.localStorage
+  }
+})
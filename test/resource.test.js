@@ -0,0 +1,56 @@
+import { test, afterEach } from 'node:test'
+import assert from 'node:assert'
+import Component from '../index.js'
+import { fixture, registerView, setFields, query, cleanup } from '../testing.js'
+
+afterEach(cleanup)
+
+/**
+ * The loads of the resource field, settled by the tests
+ * @type {{id: number, resolve: function(any): void, reject: function(Error): void}[]}
+ */
+const loads = []
+
+class LoadedResource extends Component {
+  static name = 'loaded-resource'
+
+  fields() {
+    return [
+      { name: 'id', default: 1 },
+      {
+        name: 'user',
+        kind: 'resource',
+        deps: ['id'],
+        load: (el) => new Promise((resolve, reject) => loads.push({ id: el.id, resolve, reject })),
+      },
+    ]
+  }
+}
+
+test('resource fields render while loading, then with their data or error', async () => {
+  registerView('loaded-resource', {
+    view: '<template m-if="user.loading"><i>loading</i></template><b>{{user.data.id}}</b>',
+  })
+  const el = await fixture(LoadedResource)
+  assert.equal(el.user.loading, true)
+  assert.equal(query(el, 'i').textContent, 'loading')
+
+  loads.shift().resolve({ id: 1 })
+  await new Promise((resolve) => setTimeout(resolve))
+  await el.updateComplete
+  assert.deepStrictEqual(el.user, { loading: false, error: null, data: { id: 1 } })
+  assert.equal(query(el, 'i'), null)
+  assert.equal(query(el, 'b').textContent, '1')
+
+  await setFields(el, { id: 2 })
+  assert.equal(el.user.loading, true)
+  assert.deepStrictEqual(
+    loads.map((load) => load.id),
+    [2]
+  )
+  loads.shift().reject(new Error('not found'))
+  await new Promise((resolve) => setTimeout(resolve))
+  await el.updateComplete
+  assert.equal(el.user.error.message, 'not found')
+  assert.throws(() => (el.user = null))
+})
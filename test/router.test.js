@@ -0,0 +1,129 @@
+import { test, before, afterEach } from 'node:test'
+import assert from 'node:assert'
+import Component from '../index.js'
+import { Router, RouterOutlet } from '../router.js'
+import { fixture, registerView, query, cleanup } from '../testing.js'
+
+afterEach(cleanup)
+
+/**
+ * The history of the page, which the DOM shim doesn't have
+ */
+const history = {
+  state: null,
+  entries: ['/'],
+  pushState(state, title, url) {
+    this.entries.push(url)
+    setLocation(url)
+  },
+  replaceState(state, title, url) {
+    this.entries[this.entries.length - 1] = url
+    setLocation(url)
+  },
+}
+
+function setLocation(url) {
+  const [pathname, search = ''] = url.split('?')
+  Object.assign(window.location, { pathname, search: search ? '?' + search : '' })
+}
+
+class UserPage extends Component {
+  static name = 'user-page'
+
+  fields() {
+    return [{ name: 'id', kind: 'attr' }]
+  }
+}
+
+class UserPost extends Component {
+  static name = 'user-post'
+}
+
+let allowed = true
+
+before(async () => {
+  window.location = { protocol: 'http:', pathname: '/', search: '', hash: '' }
+  window.history = history
+  registerView('user-page', { view: '<h1>{{id}}</h1><maehem-router></maehem-router>' })
+  registerView('user-post', { view: '<p>post</p>' })
+  UserPage.define()
+  UserPost.define()
+  await Router.configure({
+    routes: [
+      { path: '/', component: 'user-page' },
+      {
+        path: '/users/:id',
+        component: 'user-page',
+        guard: () => allowed,
+        children: [{ path: 'posts/:postId', component: 'user-post' }],
+      },
+      { path: '/login', component: 'user-post' },
+      { path: '/old/:id', redirect: (to) => `/users/${to.params.id}` },
+      { path: '*', component: 'user-post' },
+    ],
+  })
+})
+
+test('paths match their routes with the params of every nested route', async () => {
+  await Router.navigate('/users/john.doe/posts/7?tab=all')
+  const { path, params, query: search, matches } = Router.current
+  assert.equal(path, '/users/john.doe/posts/7')
+  assert.deepStrictEqual(params, { id: 'john.doe', postId: '7' })
+  assert.deepStrictEqual(search, { tab: 'all' })
+  assert.deepStrictEqual(
+    matches.map(({ route }) => route.component),
+    ['user-page', 'user-post']
+  )
+
+  await Router.navigate('/nowhere')
+  assert.deepStrictEqual(Router.current.params, { wildcard: 'nowhere' })
+})
+
+test('guards cancel navigations or redirect them', async () => {
+  await Router.navigate('/users/1')
+  allowed = false
+  try {
+    assert.equal(await Router.navigate('/users/2'), false)
+    assert.equal(Router.current.path, '/users/1')
+
+    allowed = '/login'
+    assert.equal(await Router.navigate('/users/2'), true)
+    assert.equal(Router.current.path, '/login')
+  } finally {
+    allowed = true
+  }
+})
+
+test('redirects keep the history entry the navigation would have added', async () => {
+  await Router.navigate('/users/1')
+  const length = history.entries.length
+  await Router.navigate('/old/3')
+  assert.equal(Router.current.path, '/users/3')
+  assert.equal(history.entries.length, length + 1)
+  assert.deepStrictEqual(history.entries.slice(-2), ['/users/1', '/users/3'])
+
+  await Router.navigate('/old/4', { replace: true })
+  assert.equal(history.entries.length, length + 1)
+  assert.equal(history.entries[history.entries.length - 1], '/users/4')
+})
+
+test('outlets render the routed components with their params, reusing them', async () => {
+  await Router.navigate('/users/1')
+  const outlet = await fixture(RouterOutlet)
+  const page = query(outlet, 'user-page')
+  await page._connected
+  assert.equal(page.id, '1')
+  assert.equal(query(page, 'h1').textContent, '1')
+
+  await Router.navigate('/users/2/posts/5')
+  await page.updateComplete
+  assert.strictEqual(query(outlet, 'user-page'), page)
+  assert.equal(query(page, 'h1').textContent, '2')
+  assert.ok(query(page, 'user-post'))
+  // Where stylesheets can't be adopted, the outlet's style is rendered before the routed component
+  assert.equal(outlet.el.querySelectorAll('style').length, 1)
+
+  await Router.navigate('/login')
+  assert.equal(query(outlet, 'user-page'), null)
+  assert.ok(query(outlet, 'user-post'))
+})
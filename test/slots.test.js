@@ -0,0 +1,70 @@
+import { test, afterEach } from 'node:test'
+import assert from 'node:assert'
+import { fileURLToPath } from 'url'
+import Component from '../index.js'
+import { render } from '../ssr.js'
+import { fixture, registerView, query, queryAll, cleanup } from '../testing.js'
+
+afterEach(cleanup)
+
+class LightCard extends Component {
+  static name = 'light-card'
+  static shadow = false
+
+  default_slotchange(e, slot) {
+    this.slotted = this.$slot().map((node) => node.localName)
+  }
+}
+
+test('the children of light DOM components are moved into the matching slots', async () => {
+  registerView('light-card', {
+    view: '<header><slot name="title">Untitled</slot></header><main><slot>Empty</slot></main><footer><slot name="foot">No footer</slot></footer>',
+  })
+  const el = await fixture(LightCard, {}, { children: '<h2 slot="title">Card</h2><p>Body</p><em>More</em>' })
+  assert.equal(query(el, 'header').innerHTML, '<slot name="title"><h2 slot="title">Card</h2></slot>')
+  assert.equal(query(el, 'main').textContent, 'BodyMore')
+  assert.equal(query(el, 'footer').textContent, 'No footer')
+  assert.deepStrictEqual(el.slotted, ['p', 'em'])
+  assert.deepStrictEqual(
+    el.$slot('title').map((node) => node.textContent),
+    ['Card']
+  )
+})
+
+test('light DOM components rendered on the server take back their children instead of slotting their view', async () => {
+  registerView('light-card', { view: '<header><slot name="title"></slot></header><main><slot></slot></main>' })
+  if (!customElements.get(LightCard.name)) LightCard.define()
+  const container = document.createElement('div')
+  container.innerHTML =
+    '<light-card m-rendered><header><slot name="title" m-assigned><h2 slot="title">Card</h2></slot></header>' +
+    '<main><slot m-assigned><p>Body</p></slot></main></light-card>'
+  const el = /** @type {any} */ (container.firstChild)
+  document.body.appendChild(container)
+  try {
+    await el._connected
+    assert.equal(queryAll(el, 'header').length, 1)
+    assert.equal(query(el, 'main').innerHTML, '<slot><p>Body</p></slot>')
+    assert.equal(el.hasAttribute('m-rendered'), false)
+  } finally {
+    container.remove()
+  }
+})
+
+test('light DOM components add their style to the document once for all of their instances', async () => {
+  registerView('light-card', { view: '<main><slot></slot></main>', style: 'light-card main { margin: 0; }' })
+  const first = await fixture(LightCard)
+  const second = await fixture(LightCard)
+  assert.equal(queryAll(first, 'style').length + queryAll(second, 'style').length, 0)
+  const styles = Array.from(document.head.querySelectorAll('style[m-style="light-card"]'))
+  assert.equal(styles.length, 1)
+  assert.equal(styles[0].textContent, 'light-card main { margin: 0; }')
+})
+
+test('light DOM components are rendered on the server after their style, marked to take back their children', async () => {
+  const html = await render(fileURLToPath(new URL('./fixtures/ssr-panel/ssr-panel.js', import.meta.url)))
+  assert.equal(
+    html,
+    '<style m-style="ssr-panel">ssr-panel section {\n  padding: 1em;\n}\n</style>' +
+      '<ssr-panel m-rendered><section><slot>Empty</slot></section>\n<!----></ssr-panel>'
+  )
+})
@@ -0,0 +1,78 @@
+import { test, afterEach } from 'node:test'
+import assert from 'node:assert'
+import { fileURLToPath } from 'url'
+import { render, serialize } from '../ssr.js'
+import { query, queryAll, cleanup } from '../testing.js'
+
+afterEach(cleanup)
+
+const greeting = fileURLToPath(new URL('./fixtures/ssr-greeting/ssr-greeting.js', import.meta.url))
+
+/**
+ * Mount the component rendered on the server like the browser parses it, with its declarative shadow root attached
+ * @param {string} html - The server markup of the component
+ * @param {Object.<string, string>} attrs - The attributes of the component
+ * @returns {Promise<any>} The hydrated component
+ */
+async function mountRendered(html, attrs = {}) {
+  const shadow = html.slice(html.indexOf('shadowrootmode="open">') + 22, html.lastIndexOf('</template></ssr-greeting>'))
+  /** @type {any} */ const el = document.createElement('ssr-greeting')
+  for (const [name, value] of Object.entries(attrs)) {
+    el.setAttribute(name, value)
+  }
+  el.attachShadow({ mode: 'open' }).innerHTML = shadow
+  el.rendered = { h1: el.shadowRoot.querySelector('h1'), li: el.shadowRoot.querySelector('li') }
+  document.body.appendChild(el)
+  await el._connected
+  return el
+}
+
+test('components render with their styles, view and nested components as declarative shadow roots', async () => {
+  const html = await render(greeting, { name: 'Ada' })
+  assert.ok(html.startsWith('<ssr-greeting name="Ada"><template shadowroot="open" shadowrootmode="open">'))
+  assert.ok(html.includes('<style m-style="">:host { display: block; }</style>\n<style m-style="">h1 {'))
+  assert.ok(html.includes('<h1>Hello Ada</h1>'))
+  assert.ok(html.includes('<template></template><li>one</li><!----><li>two</li><!---->'))
+  assert.ok(html.includes('<ssr-badge><template shadowroot="open" shadowrootmode="open">'))
+  // Components without a style are answered with a 404, not fetched from the network
+  assert.ok(html.includes('<style m-style=""></style><em>new</em>'))
+  assert.ok(!html.includes('{{'))
+})
+
+test('markup is serialized escaped', () => {
+  const el = document.createElement('p')
+  el.setAttribute('title', '"a" & <b>')
+  el.textContent = '<i>1 & 2</i>'
+  assert.equal(serialize(el), '<p title="&quot;a&quot; &amp; &lt;b&gt;">&lt;i&gt;1 &amp; 2&lt;/i&gt;</p>')
+})
+
+test('components hydrate the nodes rendered on the server and bind them', async () => {
+  const el = await mountRendered(await render(greeting, { name: 'Ada' }), { name: 'Ada' })
+  assert.strictEqual(query(el, 'h1'), el.rendered.h1)
+  assert.strictEqual(query(el, 'li'), el.rendered.li)
+  assert.equal(queryAll(el, 'h1').length, 1)
+
+  query(el, '#more').dispatchEvent(new Event('click', { bubbles: true }))
+  await el.updateComplete
+  assert.equal(query(el, '#more').textContent, '1')
+
+  el.items = [el.items[1]]
+  await el.updateComplete
+  assert.deepStrictEqual(
+    queryAll(el, 'li').map((li) => li.textContent),
+    ['two']
+  )
+})
+
+test('the view is found after the style markup whatever whitespace and comments separate them', async () => {
+  const html = (await render(greeting, { name: 'Ada' })).replace('</style><h1>', '</style>\n  <!-- view -->\n<h1>')
+  const el = await mountRendered(html, { name: 'Ada' })
+  assert.strictEqual(query(el, 'h1'), el.rendered.h1)
+})
+
+test('views rendered with other values are rendered again', async () => {
+  const el = await mountRendered(await render(greeting, { name: 'Ada' }), { name: 'Grace' })
+  assert.notStrictEqual(query(el, 'h1'), el.rendered.h1)
+  assert.equal(query(el, 'h1').textContent, 'Hello Grace')
+  assert.equal(queryAll(el, 'h1').length, 1)
+})
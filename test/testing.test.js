@@ -0,0 +1,66 @@
+import { test, afterEach } from 'node:test'
+import assert from 'node:assert'
+import Component from '../index.js'
+import { fixture, registerView, setFields, spyEvent, query, queryAll, cleanup } from '../testing.js'
+
+afterEach(cleanup)
+
+class CardTitle extends Component {
+  static name = 'card-title'
+
+  fields() {
+    return [{ name: 'title', default: 'Untitled' }]
+  }
+}
+
+class TitledCard extends Component {
+  static name = 'titled-card'
+
+  fields() {
+    return [{ name: 'count', default: 0 }]
+  }
+}
+
+test('fixtures render the components nested in their views with their defaults', async () => {
+  registerView('card-title', { view: '<h2>{{title}}</h2>' })
+  registerView('titled-card', { view: '<card-title></card-title><template id="row"><li></li></template>' })
+  CardTitle.define()
+  const errors = []
+  const error = console.error
+  console.error = (...args) => errors.push(args)
+  try {
+    const el = await fixture(TitledCard)
+    const nested = query(el, 'card-title')
+    await nested._connected
+    assert.equal(nested.title, 'Untitled')
+    assert.equal(query(el, 'h2').textContent, 'Untitled')
+    assert.deepStrictEqual(errors, [])
+  } finally {
+    console.error = error
+  }
+})
+
+test('queries look inside shadow roots and skip the contents of templates', async () => {
+  registerView('card-title', { view: '<h2>{{title}}</h2>' })
+  registerView('titled-card', { view: '<card-title></card-title><template id="row"><li></li></template>' })
+  const el = await fixture(TitledCard)
+  await query(el, 'card-title')._connected
+  assert.equal(queryAll(el, 'h2').length, 1)
+  assert.deepStrictEqual(queryAll(el, 'li'), [])
+  assert.equal(queryAll(el, 'template').length, 1)
+})
+
+test('field changes are awaited and spied on', async () => {
+  registerView('titled-card', { view: '<b>{{count}}</b>' })
+  const el = await fixture(TitledCard)
+  const changes = spyEvent(el, 'count_change')
+  await setFields(el, { count: 1 })
+  assert.equal(query(el, 'b').textContent, '1')
+  assert.deepStrictEqual(
+    changes.calls.map(({ oldValue, newValue }) => [oldValue, newValue]),
+    [[0, 1]]
+  )
+  changes.stop()
+  await setFields(el, { count: 2 })
+  assert.equal(changes.count, 1)
+})
@@ -0,0 +1,204 @@
+/**
+ * Helpers for unit testing components, in the browser or in Node with `maehem test`.
+ *
+ *   import { test, afterEach } from 'node:test'
+ *   import assert from 'node:assert'
+ *   import { fixture, registerView, setFields, spyEvent, query, cleanup } from 'maehem/testing'
+ *   import MyCounter from './my-counter.js'
+ *
+ *   afterEach(cleanup)
+ *
+ *   test('renders the count', async () => {
+ *     registerView('my-counter', { view: '<span id="count">{{count}}</span>' })
+ *     const el = await fixture(MyCounter, { count: '1' })
+ *     const changes = spyEvent(el, 'count_change')
+ *     await setFields(el, { count: 2 })
+ *     assert.equal(query(el, '#count').textContent, '2')
+ *     assert.equal(changes.count, 1)
+ *   })
+ */
+import Component from './index.js'
+
+/**
+ * @type {Map<string, string>} registry - the registered views and styles, keyed by file name
+ */
+const registry = new Map()
+
+/**
+ * @type {Set<HTMLElement>} mounted - the containers of the mounted fixtures
+ */
+const mounted = new Set()
+
+/**
+ * A recorder for the events of one type dispatched by a component
+ * @typedef {Object} EventSpy
+ * @property {CustomEvent[]} events - The recorded events, oldest first
+ * @property {any[]} calls - The details of the recorded events
+ * @property {number} count - The number of recorded events
+ * @property {any} last - The detail of the last recorded event
+ * @property {function(): void} stop - Stop recording
+ */
+
+/**
+ * Register the view and style of a component in memory, answered by the installed `fetch` instead of downloading them
+ * @param {string} name - The name of the component
+ * @param {{view: string|undefined, style: string|undefined}} files - view - The view markup, style - The style text
+ */
+export function registerView(name, { view, style } = {}) {
+  name = name.toLowerCase()
+  if (view !== undefined) registry.set(`${name}.html`, view)
+  if (style !== undefined) registry.set(`${name}.css`, style)
+  Component.invalidate(name)
+}
+
+/**
+ * Forget every registered view and style
+ */
+export function clearViews() {
+  for (const file of registry.keys()) {
+    Component.invalidate(file.replace(/\.\w+$/, ''))
+  }
+  registry.clear()
+}
+
+/**
+ * Replace `fetch` with one that answers from the registered views and styles. Other requests go to the fallback,
+ * or fail with a 404 without one, so tests never reach the network.
+ * @param {function(string, Object=): Promise<any>|null} fallback - Answers the requests that aren't registered
+ * @returns {function(): void} Restores the replaced `fetch`
+ */
+export function installFetch(fallback = null) {
+  const original = globalThis.fetch
+  globalThis.fetch = async (url, init) => {
+    const file = String(url).split('?')[0].split('/').pop()
+    if (registry.has(file)) {
+      const body = registry.get(file)
+      return { ok: true, status: 200, text: async () => body }
+    }
+    if (fallback) return fallback(String(url), init)
+    return { ok: false, status: 404, text: async () => '' }
+  }
+  return () => {
+    globalThis.fetch = original
+  }
+}
+
+/**
+ * Mount the component in the document and wait until it is initialized and rendered
+ * @param {Function|string} component - The component class, or its tag name
+ * @param {Object.<string, string>} attrs - The attributes to mount the component with
+ * @param {{defaults: Object.<string, any>|undefined, children: string|undefined}} options - defaults - The
+ * defaults for its fields, children - The light DOM markup to slot into it
+ * @returns {Promise<any>} The mounted component
+ */
+export async function fixture(component, attrs = {}, { defaults = {}, children = '' } = {}) {
+  /** @type {any} */ const ComponentClass = component
+  const tag = typeof component === 'string' ? component : ComponentClass.name
+  if (!customElements.get(tag) && typeof component !== 'string') ComponentClass.define()
+
+  /** @type {any} */ const el = document.createElement(tag)
+  // Set rather than passed to the constructor, which isn't called with arguments when upgrading
+  el._defaults = defaults
+  el._onConnected = null
+  for (const [name, value] of Object.entries(attrs)) {
+    el.setAttribute(name, value)
+  }
+  if (children) el.innerHTML = children
+
+  const container = document.createElement('div')
+  container.appendChild(el)
+  document.body.appendChild(container)
+  mounted.add(container)
+
+  await el._connected
+  await el.updateComplete
+  return el
+}
+
+/**
+ * Remove every mounted fixture from the document and forget the data cached by 'resource' fields
+ */
+export function cleanup() {
+  mounted.forEach((container) => container.remove())
+  mounted.clear()
+  Component.clearResources()
+}
+
+/**
+ * Set the fields of the component and wait until the changes are rendered
+ * @param {any} el - The component
+ * @param {Object.<string, any>} values - The values to set, keyed by field name
+ * @returns {Promise<any>} The component
+ */
+export async function setFields(el, values) {
+  Object.assign(el, values)
+  await nextRender(el)
+  return el
+}
+
+/**
+ * Wait until every pending change of the component is rendered
+ * @param {any} el - The component
+ * @returns {Promise<boolean>}
+ */
+export function nextRender(el) {
+  return el.updateComplete
+}
+
+/**
+ * Record the events of the given type dispatched by the component, such as `change` or `<name>_change`
+ * @param {EventTarget} el - The component
+ * @param {string} type - The event type
+ * @returns {EventSpy}
+ */
+export function spyEvent(el, type) {
+  const events = []
+  const listener = (e) => events.push(e)
+  el.addEventListener(type, listener)
+  return {
+    events,
+    get calls() {
+      return events.map((e) => e.detail)
+    },
+    get count() {
+      return events.length
+    },
+    get last() {
+      return events.length ? events[events.length - 1].detail : undefined
+    },
+    stop() {
+      el.removeEventListener(type, listener)
+    },
+  }
+}
+
+/**
+ * Find the first element matching the selector in the root, looking inside every shadow root below it
+ * @param {any} root - The component, element or shadow root to search
+ * @param {string} selector - The selector to match
+ * @returns {Element|null}
+ */
+export function query(root, selector) {
+  return queryAll(root, selector)[0] || null
+}
+
+/**
+ * Find every element matching the selector in the root, looking inside every shadow root below it. The contents of
+ * templates aren't rendered, so they're skipped.
+ * @param {any} root - The component, element or shadow root to search
+ * @param {string} selector - The selector to match
+ * @returns {Element[]}
+ */
+export function queryAll(root, selector) {
+  const found = []
+  const visit = (node) => {
+    const shadow = node.shadowRoot || node.el
+    if (shadow && shadow !== node) visit(shadow)
+    for (const child of Array.from(node.children || [])) {
+      if (child.matches(selector)) found.push(child)
+      if (child.localName !== 'template') visit(child)
+    }
+  }
+  visit(root)
+  return found
+}
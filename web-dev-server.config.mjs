@@ -1,10 +1,99 @@
 import { hmrPlugin } from '@open-wc/dev-server-hmr'
 
+/**
+ * The URL of the script that applies view and style updates in the browser
+ */
+const clientScript = '/__maehem/hmr.js'
+
+/**
+ * Match the view or style of a component, which are always at `<name>/<name>.html` and `<name>/<name>.css`
+ * @param {string} file - The path of the changed file
+ * @returns {RegExpMatchArray|null} The name of the component and the extension of the file
+ */
+function componentAsset(file) {
+  return file.match(/(?:^|[\\/])([^\\/]+)[\\/]\1\.(html|css)$/)
+}
+
+/**
+ * Check whether the HTML is a full document rather than a fragment, such as a component view
+ * @param {string} html - The HTML served
+ * @returns {boolean}
+ */
+function isHtmlDocument(html) {
+  return /^\s*<(!doctype|html|head|body)\b/i.test(html.replace(/<!--.*?-->/gs, ''))
+}
+
+/**
+ * Hot reload component views and styles along with the modules reloaded by the HMR plugin. Changed views and
+ * styles are sent to the browser, which swaps them into the live components instead of reloading the page.
+ * @param {import('@web/dev-server-core').Plugin} hmr - The HMR plugin for modules
+ * @returns {import('@web/dev-server-core').Plugin}
+ */
+function componentHmrPlugin(hmr) {
+  return Object.assign({}, hmr, {
+    name: 'maehem-hmr',
+
+    serverStart(args) {
+      const { fileWatcher, webSockets } = args
+      fileWatcher.on('change', (file) => {
+        const match = componentAsset(file)
+        if (!match) return
+        const message = { type: 'maehem:update', name: match[1], asset: match[2] === 'html' ? 'view' : 'style' }
+        webSockets.send(JSON.stringify(message))
+      })
+
+      // The HMR plugin reloads the page for files that aren't modules, so it doesn't hear about views and styles
+      const watcher = {
+        on: (event, listener) =>
+          fileWatcher.on(event, (file, ...rest) =>
+            event === 'change' && componentAsset(file) ? undefined : listener(file, ...rest)
+          ),
+      }
+      return hmr.serverStart(Object.assign({}, args, { fileWatcher: watcher }))
+    },
+
+    serve(context) {
+      if (context.path !== clientScript) return hmr.serve(context)
+      return {
+        type: 'js',
+        body: `import { webSocket } from '/__web-dev-server__web-socket.js'
+
+if (webSocket) {
+  webSocket.addEventListener('message', (e) => {
+    const message = JSON.parse(e.data)
+    if (message.type !== 'maehem:update') return
+    const ComponentClass = customElements.get(message.name)
+    if (ComponentClass && ComponentClass.hotUpdate) ComponentClass.hotUpdate(message.name, message.asset)
+  })
+}
+`,
+      }
+    },
+
+    async transform(context) {
+      // Views are fetched as fragments and rendered into shadow roots, so only documents load the client
+      const body = context.body
+      if (
+        context.response.is('html') &&
+        typeof body === 'string' &&
+        isHtmlDocument(body) &&
+        !body.includes(clientScript)
+      ) {
+        const script = `<script type="module" src="${clientScript}"></script>`
+        return { body: body.replace(/<\/head>|<body|$/i, (tag) => `${script}\n${tag}`) }
+      }
+      return hmr.transform(context)
+    },
+  })
+}
+
 export default {
   // in a monorepo you need to set set the root dir to resolve modules
   plugins: [
-    hmrPlugin({
-      include: ['**/*.js'],
-    }),
+    componentHmrPlugin(
+      hmrPlugin({
+        include: ['**/*.js'],
+      })
+    ),
   ],
 }